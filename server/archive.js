@@ -0,0 +1,374 @@
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+
+// Archive writers that stream entries into a Writable as they are added, so
+// an archive of any size is built without temp files and with only the
+// in-flight chunks (plus one small central directory record per ZIP entry)
+// held in memory.
+//
+// Both writers take entries as { name, mtime, mode } with name relative and
+// '/'-separated and mtime in seconds; files also carry their size and a
+// source (stream or async iterable) yielding exactly that many bytes.
+
+export const ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+
+/**
+ * Create a writer for one archive
+ * @param {string} format - 'zip' or 'tar.gz'
+ * @param {Writable} output - Destination of the archive bytes
+ * @returns {Object} - { addDirectory(entry), addFile(entry, source), finish() },
+ *   all returning promises; finish() ends output once everything is written
+ */
+export function createArchiveWriter(format, output) {
+  if (format === 'zip') return createZipWriter(output);
+  if (format === 'tar.gz') return createTarWriter(output);
+  throw new Error(`Unsupported archive format: ${format}`);
+}
+
+// Write a chunk, waiting for the stream to drain when its buffer is full
+function write(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    const onError = (err) => reject(err);
+    const done = () => {
+      stream.off('error', onError);
+      resolve();
+    };
+    stream.once('error', onError);
+    if (stream.write(chunk)) {
+      done();
+    } else {
+      stream.once('drain', done);
+    }
+  });
+}
+
+function ended(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('finish', resolve);
+    stream.once('error', reject);
+    stream.end();
+  });
+}
+
+// tar
+
+const TAR_BLOCK = 512;
+
+// Largest size and longest name a plain ustar header can hold
+const TAR_MAX_SIZE = 0o77777777777;
+const TAR_MAX_NAME = 100;
+
+function octal(value, width) {
+  return value.toString(8).padStart(width - 1, '0') + '\0';
+}
+
+function tarHeader(name, { size, mtime, mode, type }) {
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, TAR_MAX_NAME);
+  header.write(octal(mode, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(Math.min(size, TAR_MAX_SIZE), 12), 124);
+  header.write(octal(Math.max(0, Math.floor(mtime)), 12), 136);
+  header.write(' '.repeat(8), 148);
+  header.write(type, 156);
+  header.write('ustar\u000000', 257);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(octal(checksum, 7) + ' ', 148);
+  return header;
+}
+
+// PAX record "<length> <key>=<value>\n", where length counts itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + String(bodyLength).length;
+  if (String(length).length !== String(bodyLength).length) length += 1;
+  return `${length}${body}`;
+}
+
+function padding(size) {
+  return Buffer.alloc((TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK);
+}
+
+function createTarWriter(output) {
+  const gzip = zlib.createGzip();
+  const compressed = pipeline(gzip, output);
+  // Keep a failure from surfacing as unhandled before finish() awaits it
+  compressed.catch(() => {});
+
+  // Names and sizes a ustar header cannot hold go into a PAX header first
+  const writeHeader = async (name, fields) => {
+    const records = [];
+    if (Buffer.byteLength(name) > TAR_MAX_NAME || /[^\x20-\x7e]/.test(name)) {
+      records.push(paxRecord('path', name));
+    }
+    if (fields.size > TAR_MAX_SIZE) {
+      records.push(paxRecord('size', fields.size));
+    }
+    if (records.length > 0) {
+      const pax = Buffer.from(records.join(''));
+      await write(gzip, tarHeader('PaxHeader', { size: pax.length, mtime: fields.mtime, mode: 0o644, type: 'x' }));
+      await write(gzip, Buffer.concat([pax, padding(pax.length)]));
+    }
+    await write(gzip, tarHeader(Buffer.from(name).subarray(0, TAR_MAX_NAME).toString(), fields));
+  };
+
+  return {
+    async addDirectory({ name, mtime, mode = 0o755 }) {
+      await writeHeader(`${name}/`, { size: 0, mtime, mode: mode & 0o7777, type: '5' });
+    },
+
+    async addFile({ name, size, mtime, mode = 0o644 }, source) {
+      await writeHeader(name, { size, mtime, mode: mode & 0o7777, type: '0' });
+
+      // The header promised `size` bytes: cut off anything a growing file
+      // adds and pad a file that shrank, so the archive stays readable
+      let written = 0;
+      await pipeline(source, async function* (chunks) {
+        for await (const chunk of chunks) {
+          const part = chunk.subarray(0, size - written);
+          written += part.length;
+          if (part.length > 0) yield part;
+        }
+        if (written < size) {
+          yield Buffer.alloc(size - written);
+        }
+        yield padding(size);
+      }, gzip, { end: false });
+      return { changed: written !== size };
+    },
+
+    async finish() {
+      await write(gzip, Buffer.alloc(TAR_BLOCK * 2));
+      gzip.end();
+      await compressed;
+    }
+  };
+}
+
+// ZIP
+
+const ZIP64_LIMIT = 0xffffffff;
+const ZIP_FLAGS = 0x0808; // sizes in a data descriptor, UTF-8 names
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const MADE_BY_UNIX = 3 << 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(chunk, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (const byte of chunk) {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time in local time, as ZIP readers expect
+function dosDateTime(mtime) {
+  const date = new Date(mtime * 1000);
+  if (date.getFullYear() < 1980) {
+    return { time: 0, date: (1 << 5) | 1 };
+  }
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Extended timestamp field carrying the exact UTC mtime
+function timestampField(mtime) {
+  const field = Buffer.alloc(9);
+  field.writeUInt16LE(0x5455, 0);
+  field.writeUInt16LE(5, 2);
+  field.writeUInt8(1, 4);
+  field.writeUInt32LE(Math.max(0, Math.min(Math.floor(mtime), ZIP64_LIMIT)), 5);
+  return field;
+}
+
+function zip64Field(values) {
+  const field = Buffer.alloc(4 + values.length * 8);
+  field.writeUInt16LE(0x0001, 0);
+  field.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, i) => field.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+  return field;
+}
+
+function createZipWriter(output) {
+  // Central directory records, written once all entries are out
+  const records = [];
+  let offset = 0;
+
+  const emit = async (chunk) => {
+    offset += chunk.length;
+    await write(output, chunk);
+  };
+
+  const localHeader = (entry) => {
+    const name = Buffer.from(entry.name);
+    // Entries that may pass 4 GiB say so up front, which also makes the
+    // data descriptor carry 8-byte sizes
+    const extra = Buffer.concat([
+      timestampField(entry.mtime),
+      ...(entry.zip64 ? [zip64Field([0, 0])] : [])
+    ]);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(entry.zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.dos.time, 10);
+    header.writeUInt16LE(entry.dos.date, 12);
+    header.writeUInt32LE(0, 14);
+    header.writeUInt32LE(entry.zip64 ? ZIP64_LIMIT : 0, 18);
+    header.writeUInt32LE(entry.zip64 ? ZIP64_LIMIT : 0, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(extra.length, 28);
+    return Buffer.concat([header, name, extra]);
+  };
+
+  const dataDescriptor = (entry) => {
+    const descriptor = Buffer.alloc(entry.zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    if (entry.zip64) {
+      descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    } else {
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+    }
+    return descriptor;
+  };
+
+  const centralRecord = (entry) => {
+    const name = Buffer.from(entry.name);
+    const large = [entry.size, entry.compressedSize, entry.offset].filter(value => value >= ZIP64_LIMIT);
+    const zip64 = entry.zip64 || large.length > 0;
+    const clamp = (value) => (value >= ZIP64_LIMIT ? ZIP64_LIMIT : value);
+    const extra = Buffer.concat([
+      timestampField(entry.mtime),
+      ...(large.length > 0 ? [zip64Field(large)] : [])
+    ]);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(MADE_BY_UNIX | VERSION_ZIP64, 4);
+    header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+    header.writeUInt16LE(ZIP_FLAGS, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(entry.dos.time, 12);
+    header.writeUInt16LE(entry.dos.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(clamp(entry.compressedSize), 20);
+    header.writeUInt32LE(clamp(entry.size), 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    // Unix mode in the high half; 0x10 marks directories for DOS readers
+    header.writeUInt32LE(((entry.mode << 16) | (entry.isDirectory ? 0x10 : 0)) >>> 0, 38);
+    header.writeUInt32LE(clamp(entry.offset), 42);
+    return Buffer.concat([header, name, extra]);
+  };
+
+  const endRecords = (count, size, start) => {
+    const chunks = [];
+    if (count >= 0xffff || size >= ZIP64_LIMIT || start >= ZIP64_LIMIT) {
+      const record = Buffer.alloc(56);
+      record.writeUInt32LE(0x06064b50, 0);
+      record.writeBigUInt64LE(44n, 4);
+      record.writeUInt16LE(MADE_BY_UNIX | VERSION_ZIP64, 12);
+      record.writeUInt16LE(VERSION_ZIP64, 14);
+      record.writeBigUInt64LE(BigInt(count), 24);
+      record.writeBigUInt64LE(BigInt(count), 32);
+      record.writeBigUInt64LE(BigInt(size), 40);
+      record.writeBigUInt64LE(BigInt(start), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeBigUInt64LE(BigInt(start + size), 8);
+      locator.writeUInt32LE(1, 16);
+      chunks.push(record, locator);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(count, 0xffff), 8);
+    end.writeUInt16LE(Math.min(count, 0xffff), 10);
+    end.writeUInt32LE(Math.min(size, ZIP64_LIMIT), 12);
+    end.writeUInt32LE(Math.min(start, ZIP64_LIMIT), 16);
+    chunks.push(end);
+    return Buffer.concat(chunks);
+  };
+
+  const addEntry = async (fields, source) => {
+    const entry = {
+      ...fields,
+      dos: dosDateTime(fields.mtime),
+      method: source ? 8 : 0,
+      zip64: fields.size >= ZIP64_LIMIT,
+      offset,
+      crc: 0,
+      compressedSize: 0
+    };
+    await emit(localHeader(entry));
+
+    if (source) {
+      let size = 0;
+      await pipeline(
+        source,
+        async function* (chunks) {
+          for await (const chunk of chunks) {
+            entry.crc = crc32(chunk, entry.crc);
+            size += chunk.length;
+            yield chunk;
+          }
+        },
+        zlib.createDeflateRaw(),
+        async function* (chunks) {
+          for await (const chunk of chunks) {
+            entry.compressedSize += chunk.length;
+            offset += chunk.length;
+            yield chunk;
+          }
+        },
+        output,
+        { end: false }
+      );
+      entry.size = size;
+    }
+
+    await emit(dataDescriptor(entry));
+    records.push(centralRecord(entry));
+  };
+
+  return {
+    async addDirectory({ name, mtime, mode = 0o755 }) {
+      await addEntry({ name: `${name}/`, mtime, mode: 0o40000 | (mode & 0o7777), size: 0, isDirectory: true });
+    },
+
+    async addFile({ name, size, mtime, mode = 0o644 }, source) {
+      await addEntry({ name, mtime, mode: 0o100000 | (mode & 0o7777), size, isDirectory: false }, source);
+      return { changed: false };
+    },
+
+    async finish() {
+      const start = offset;
+      let size = 0;
+      for (const record of records) {
+        size += record.length;
+        await emit(record);
+      }
+      await emit(endRecords(records.length, size, start));
+      await ended(output);
+    }
+  };
+}
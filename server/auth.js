@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Local accounts of the bridge: { "users": { "<name>": "<password hash>" } }
+export const USERS_FILE = process.env.BRIDGE_USERS_FILE || path.join(__dirname, 'users.json');
+
+// scrypt cost parameters; stored with every hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const scrypt = (password, salt, params) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, params, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+/**
+ * Hash a password for the users file
+ * @param {string} password - Password in plaintext
+ * @returns {Promise<string>} - scrypt$N$r$p$salt$hash, base64 encoded parts
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a hash made by hashPassword
+ * @param {string} password - Password in plaintext
+ * @param {string} stored - Stored hash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Compare two secrets without leaking where they differ
+ * @param {string} given - Value received from a client
+ * @param {string} expected - Configured value
+ * @returns {boolean}
+ */
+export function safeEqual(given, expected) {
+  // Hashing first makes the lengths equal, as timingSafeEqual requires
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+export function loadUsers() {
+  try {
+    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')).users || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Could not read ${USERS_FILE}:`, err.message);
+    }
+    return {};
+  }
+}
+
+export function saveUsers(users) {
+  fs.writeFileSync(USERS_FILE, `${JSON.stringify({ users }, null, 2)}\n`, { mode: 0o600 });
+}
@@ -0,0 +1,88 @@
+// Manage the local accounts that may log in to the bridge
+//
+//   npm run users -- add <name>      create a user or change its password
+//   npm run users -- remove <name>   delete a user
+//   npm run users -- list            show all users
+
+import readline from 'readline';
+import { USERS_FILE, hashPassword, loadUsers, saveUsers } from './auth.js';
+
+// Read lines from the terminal without echoing them; one interface for all
+// questions so piped input is not lost between them
+function askHidden(questions) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    const answers = [];
+    let muted = false;
+    rl._writeToOutput = (text) => {
+      if (!muted) rl.output.write(text);
+    };
+
+    const askNext = () => {
+      if (answers.length === questions.length) {
+        rl.close();
+        resolve(answers);
+        return;
+      }
+      muted = false;
+      rl.question(questions[answers.length], (answer) => {
+        process.stdout.write('\n');
+        answers.push(answer);
+        askNext();
+      });
+      muted = true;
+    };
+    rl.on('close', () => resolve(answers));
+    askNext();
+  });
+}
+
+async function main() {
+  const [command, name] = process.argv.slice(2);
+  const users = loadUsers();
+
+  switch (command) {
+    case 'add': {
+      if (!name) {
+        console.error('Usage: add <name>');
+        process.exit(1);
+      }
+
+      const [password, confirmation] = await askHidden([`Password for ${name}: `, 'Repeat password: ']);
+      if (!password || password !== confirmation) {
+        console.error('Passwords are empty or do not match');
+        process.exit(1);
+      }
+
+      const existed = Boolean(users[name]);
+      users[name] = await hashPassword(password);
+      saveUsers(users);
+      console.log(`${existed ? 'Updated' : 'Added'} ${name} in ${USERS_FILE}`);
+      break;
+    }
+
+    case 'remove': {
+      if (!users[name]) {
+        console.error(`No user named ${name}`);
+        process.exit(1);
+      }
+
+      delete users[name];
+      saveUsers(users);
+      console.log(`Removed ${name} from ${USERS_FILE}`);
+      break;
+    }
+
+    case 'list': {
+      const names = Object.keys(users);
+      console.log(names.length > 0 ? names.join('\n') : `No users in ${USERS_FILE}`);
+      break;
+    }
+
+    default:
+      console.error('Usage: manage-users.js add <name> | remove <name> | list');
+      process.exit(1);
+  }
+}
+
+main();
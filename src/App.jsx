@@ -6,48 +6,77 @@ import Sidebar from './components/Sidebar';
 import Dashboard from './pages/Dashboard';
 import Settings from './pages/Settings';
 import FileManager from './pages/FileManager';
+import Login from './pages/Login';
+import TransferPanel from './components/TransferPanel';
+import HostKeyDialog from './components/HostKeyDialog';
+import AuthPromptDialog from './components/AuthPromptDialog';
+import VaultDialog from './components/VaultDialog';
+import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ConnectionProvider } from './contexts/ConnectionContext';
+import { TransferProvider } from './contexts/TransferContext';
 
-function App() {
+function AppContent() {
+  const { isAuthenticated } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [currentView, setCurrentView] = useState('dashboard');
 
+  // Nothing talks to the bridge before logging in to it
+  if (!isAuthenticated) {
+    return <Login />;
+  }
+
   return (
     <ConnectionProvider>
-      <Router>
-        <div className="flex h-screen bg-gray-50">
-          <Sidebar 
-            isOpen={sidebarOpen} 
-            onClose={() => setSidebarOpen(false)}
-            currentView={currentView}
-            setCurrentView={setCurrentView}
-          />
-          
-          <div className="flex-1 flex flex-col overflow-hidden">
-            <Header 
-              onMenuClick={() => setSidebarOpen(true)}
+      <TransferProvider>
+        <Router>
+          <div className="flex h-screen bg-gray-50">
+            <Sidebar 
+              isOpen={sidebarOpen} 
+              onClose={() => setSidebarOpen(false)}
               currentView={currentView}
+              setCurrentView={setCurrentView}
             />
             
-            <main className="flex-1 overflow-x-hidden overflow-y-auto">
-              <motion.div
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ duration: 0.3 }}
-                className="container mx-auto px-6 py-8"
-              >
-                <Routes>
-                  <Route path="/" element={<Dashboard />} />
-                  <Route path="/files" element={<FileManager />} />
-                  <Route path="/settings" element={<Settings />} />
-                </Routes>
-              </motion.div>
-            </main>
+            <div className="flex-1 flex flex-col overflow-hidden">
+              <Header 
+                onMenuClick={() => setSidebarOpen(true)}
+                currentView={currentView}
+              />
+              
+              <main className="flex-1 overflow-x-hidden overflow-y-auto">
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.3 }}
+                  className="container mx-auto px-6 py-8"
+                >
+                  <Routes>
+                    <Route path="/" element={<Dashboard />} />
+                    <Route path="/files" element={<FileManager />} />
+                    <Route path="/settings" element={<Settings />} />
+                  </Routes>
+                </motion.div>
+              </main>
+
+              <TransferPanel />
+            </div>
+
+            <HostKeyDialog />
+            <AuthPromptDialog />
+            <VaultDialog />
           </div>
-        </div>
-      </Router>
+        </Router>
+      </TransferProvider>
     </ConnectionProvider>
   );
 }
 
+function App() {
+  return (
+    <AuthProvider>
+      <AppContent />
+    </AuthProvider>
+  );
+}
+
 export default App;
\ No newline at end of file
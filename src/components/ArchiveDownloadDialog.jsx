@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import { openSaveTarget, saveBlob } from '../lib/fileSaver';
+import { formatBytes } from '../lib/transferProgress';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiArchive, FiAlertCircle, FiAlertTriangle, FiCheckCircle, FiRefreshCw } = FiIcons;
+
+const FORMATS = [
+  { value: 'zip', label: 'ZIP', description: 'Opens anywhere' },
+  { value: 'tar.gz', label: 'tar.gz', description: 'Keeps Unix permissions, smaller for text' }
+];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Download a selection of files and folders as one archive the bridge
+// streams as it reads them. Progress counts the files read, as the size of
+// the compressed archive is only known at the end.
+const ArchiveDownloadDialog = ({ session, paths, defaultName, onClose }) => {
+  // options, running, done or stopped
+  const [phase, setPhase] = useState('options');
+  const [format, setFormat] = useState('zip');
+  const [name, setName] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const controller = useRef(null);
+
+  const open = Boolean(paths?.length);
+
+  useEffect(() => {
+    if (!open) return;
+    setPhase('options');
+    setName(defaultName);
+    setProgress(null);
+    setResult(null);
+    setError(null);
+  }, [open, defaultName]);
+
+  const handleStart = async () => {
+    const fileName = `${name.trim() || defaultName}.${format}`;
+    setError(null);
+
+    let writable;
+    try {
+      // Stream to disk when the browser supports it, otherwise the archive
+      // is buffered and saved when complete
+      writable = await openSaveTarget(fileName);
+    } catch (err) {
+      // The user dismissed the save dialog
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Could not open the file to save to');
+      }
+      return;
+    }
+
+    const download = new AbortController();
+    controller.current = download;
+    setPhase('running');
+    setProgress(null);
+
+    try {
+      const data = await session.downloadArchive(paths, {
+        format,
+        writable,
+        signal: download.signal,
+        onProgress: setProgress
+      });
+      if (data.blob) {
+        saveBlob(data.blob, fileName);
+      }
+      setResult(data);
+      setPhase('done');
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setPhase('stopped');
+      } else {
+        setError(err.message || 'Failed to download archive');
+        setPhase('done');
+      }
+    }
+  };
+
+  const handleClose = () => {
+    controller.current?.abort();
+    onClose();
+  };
+
+  const percent = progress?.total ? Math.round((progress.bytes / progress.total) * 100) : 0;
+  const problems = result ? [
+    ...result.skipped.map(item => `${item.path}: ${item.error}`),
+    ...result.changed.map(path => `${path}: changed while being read; its content in the archive is incomplete`),
+    ...result.unreadable.map(item => `${item.path}: folder could not be read (${item.error})`)
+  ] : [];
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg"
+          >
+            <div className="flex items-center space-x-2 mb-4">
+              <SafeIcon icon={FiArchive} className="w-5 h-5 text-primary-600" />
+              <h3 className="text-lg font-semibold text-gray-900">Download as Archive</h3>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              {paths.length === 1 ? paths[0] : `${plural(paths.length, 'item')}, folders with everything in them`}
+            </p>
+
+            {phase === 'options' && (
+              <div className="space-y-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Archive Name</label>
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                    <span className="text-sm text-gray-500">.{format}</span>
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {FORMATS.map(option => (
+                    <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name="archive-format"
+                        checked={format === option.value}
+                        onChange={() => setFormat(option.value)}
+                        className="text-primary-600 focus:ring-primary-500"
+                      />
+                      <span className="font-medium">{option.label}</span>
+                      <span className="text-gray-500">{option.description}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {phase === 'running' && progress?.total === undefined && (
+              <div className="flex items-center space-x-2 text-sm text-gray-600 mb-4">
+                <SafeIcon icon={FiRefreshCw} className="w-4 h-4 animate-spin" />
+                <span>
+                  Listing the selection
+                  {progress?.listed ? `: ${plural(progress.listed, 'item')} so far` : ''}
+                </span>
+              </div>
+            )}
+
+            {progress?.total !== undefined && phase !== 'options' && (
+              <div className="mb-4">
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>
+                    {formatBytes(progress.bytes)} of {formatBytes(progress.total)} read from {plural(progress.files, 'file')}
+                  </span>
+                  <span>{percent}%</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-primary-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+                </div>
+              </div>
+            )}
+
+            {phase === 'done' && result && (
+              <div className="flex items-center space-x-2 text-sm text-green-700 mb-4">
+                <SafeIcon icon={FiCheckCircle} className="w-4 h-4" />
+                <span>Saved {plural(result.files, 'file')} in a {formatBytes(result.size)} archive</span>
+              </div>
+            )}
+
+            {phase === 'stopped' && (
+              <div className="flex items-center space-x-2 text-sm text-amber-700 mb-4">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4" />
+                <span>Stopped; nothing was saved</span>
+              </div>
+            )}
+
+            {result?.skippedLinks > 0 && (
+              <p className="text-sm text-gray-500 mb-2">{plural(result.skippedLinks, 'link')} to folders were left out</p>
+            )}
+
+            {problems.length > 0 && (
+              <div className="mb-4">
+                <p className="text-sm font-medium text-amber-700 mb-1">{plural(problems.length, 'item')} left out or incomplete</p>
+                <ul className="max-h-40 overflow-y-auto text-xs border border-amber-200 rounded-md divide-y divide-amber-100">
+                  {problems.map(problem => (
+                    <li key={problem} className="px-3 py-1 font-mono text-gray-700 break-all">{problem}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+                <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm">{error}</span>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              {phase === 'options' ? (
+                <>
+                  <button
+                    onClick={handleClose}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleStart}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-2"
+                  >
+                    <SafeIcon icon={FiArchive} className="w-4 h-4" />
+                    <span>Download</span>
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={phase === 'running' ? () => controller.current?.abort() : handleClose}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  {phase === 'running' ? 'Stop' : 'Close'}
+                </button>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ArchiveDownloadDialog;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useConnection } from '../contexts/ConnectionContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiLock, FiCheck } = FiIcons;
+
+const AuthPromptDialog = () => {
+  const { authPrompt, answerAuthPrompt } = useConnection();
+  const [answers, setAnswers] = useState([]);
+
+  // Every round starts with empty fields
+  useEffect(() => {
+    setAnswers(authPrompt ? authPrompt.prompts.map(() => '') : []);
+  }, [authPrompt?.id]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    answerAuthPrompt(answers);
+  };
+
+  const handleAnswerChange = (index, value) => {
+    setAnswers(prev => prev.map((answer, i) => (i === index ? value : answer)));
+  };
+
+  return (
+    <AnimatePresence>
+      {authPrompt && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-md"
+          >
+            <div className="flex items-center space-x-2 mb-1">
+              <SafeIcon icon={FiLock} className="w-5 h-5 text-primary-600" />
+              <h3 className="text-lg font-semibold text-gray-900">
+                {authPrompt.name || 'Authentication Required'}
+              </h3>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">
+              {authPrompt.username}@{authPrompt.host}
+              {`${authPrompt.host}:${authPrompt.port}` !== `${authPrompt.connection.host}:${authPrompt.connection.port || 22}`
+                && ` • jump host for ${authPrompt.connection.name}`}
+            </p>
+
+            {authPrompt.instructions && (
+              <p className="text-sm text-gray-700 mb-4 whitespace-pre-line">{authPrompt.instructions}</p>
+            )}
+
+            <form key={authPrompt.id} onSubmit={handleSubmit}>
+              <div className="space-y-4 mb-6">
+                {authPrompt.prompts.map((prompt, index) => (
+                  <div key={index}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {prompt.prompt}
+                    </label>
+                    <input
+                      type={prompt.echo ? 'text' : 'password'}
+                      value={answers[index] || ''}
+                      onChange={(e) => handleAnswerChange(index, e.target.value)}
+                      autoComplete={prompt.echo ? 'one-time-code' : 'current-password'}
+                      autoFocus={index === 0}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => answerAuthPrompt(null)}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-2"
+                >
+                  <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                  <span>Continue</span>
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default AuthPromptDialog;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useConnection } from '../contexts/ConnectionContext';
+import { exportConnections } from '../lib/connectionFiles';
+import { saveBlob } from '../lib/fileSaver';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiDownload, FiAlertCircle, FiAlertTriangle } = FiIcons;
+
+const ConnectionExportDialog = ({ open, onClose }) => {
+  const { connections, getConnectionSecrets } = useConnection();
+  const [includeSecrets, setIncludeSecrets] = useState(false);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const handleClose = () => {
+    setIncludeSecrets(false);
+    setError(null);
+    onClose();
+  };
+
+  const handleExport = async () => {
+    setError(null);
+    setExporting(true);
+
+    try {
+      let secretsById = null;
+      if (includeSecrets) {
+        secretsById = {};
+        for (const connection of connections) {
+          secretsById[connection.id] = await getConnectionSecrets(connection);
+        }
+      }
+
+      const data = exportConnections(connections, secretsById);
+      const date = new Date().toISOString().slice(0, 10);
+      saveBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `sftp-connections-${date}.json`);
+      handleClose();
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-md"
+          >
+            <div className="flex items-center space-x-2 mb-4">
+              <SafeIcon icon={FiDownload} className="w-5 h-5 text-primary-600" />
+              <h3 className="text-lg font-semibold text-gray-900">Export Connections</h3>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              Saves all {connections.length} connections, with their folders, tags, proxies and jump hosts,
+              to a JSON file that can be imported on another machine.
+            </p>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700 mb-2">
+              <input
+                type="checkbox"
+                checked={includeSecrets}
+                onChange={(e) => setIncludeSecrets(e.target.checked)}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>Include passwords and private keys</span>
+            </label>
+            {includeSecrets && (
+              <div className="mb-4 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-md flex items-start space-x-2">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                <span className="text-sm">
+                  The file will contain the secrets in plaintext. Keep it somewhere safe and delete it after importing.
+                </span>
+              </div>
+            )}
+
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+                <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm">{error}</span>
+              </div>
+            )}
+
+            <div className="flex space-x-3 mt-6">
+              <button
+                onClick={handleClose}
+                disabled={exporting}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleExport}
+                disabled={exporting}
+                className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+              >
+                {exporting ? 'Exporting...' : 'Export'}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ConnectionExportDialog;
@@ -0,0 +1,54 @@
+import React from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { SORT_OPTIONS } from '../lib/connectionList';
+
+const { FiSearch } = FiIcons;
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+// Search box, tag filter and sort order for a list of connections; the
+// parent owns the values ({ query, tag, sortBy })
+const ConnectionFilters = ({ filters, onChange, tags }) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-2">
+      <div className="relative flex-1">
+        <SafeIcon icon={FiSearch} className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => update({ query: e.target.value })}
+          placeholder="Search name, host, user, folder or tag"
+          className={`w-full pl-9 ${inputClass}`}
+        />
+      </div>
+      {tags.length > 0 && (
+        <select
+          value={filters.tag}
+          onChange={(e) => update({ tag: e.target.value })}
+          className={inputClass}
+          title="Filter by tag"
+        >
+          <option value="">All tags</option>
+          {tags.map(tag => (
+            <option key={tag} value={tag}>{tag}</option>
+          ))}
+        </select>
+      )}
+      <select
+        value={filters.sortBy}
+        onChange={(e) => update({ sortBy: e.target.value })}
+        className={inputClass}
+        title="Sort by"
+      >
+        {SORT_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ConnectionFilters;
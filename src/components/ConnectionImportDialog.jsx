@@ -0,0 +1,315 @@
+import React, { useState, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useConnection } from '../contexts/ConnectionContext';
+import { parseConnectionFile, findConflict, orderForImport } from '../lib/connectionFiles';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiUpload, FiX, FiAlertCircle, FiAlertTriangle, FiCheckCircle, FiCornerDownRight } = FiIcons;
+
+// Large enough for any real config file, small enough to reject a wrong pick
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+// "name", or "name (2)", "name (3)"... when taken
+const uniqueName = (name, usedNames) => {
+  let candidate = name;
+  for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+    candidate = `${name} (${i})`;
+  }
+  return candidate;
+};
+
+const ConnectionImportDialog = ({ open, onClose }) => {
+  const { connections, saveConnection } = useConnection();
+  const fileInput = useRef(null);
+  const [text, setText] = useState('');
+  // { format, entries, warnings } of the parsed file
+  const [parsed, setParsed] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  // { imported, failures } once the import has run
+  const [result, setResult] = useState(null);
+
+  const reset = () => {
+    setText('');
+    setParsed(null);
+    setSelected(new Set());
+    setError(null);
+    setResult(null);
+  };
+
+  const handleClose = () => {
+    if (importing) return;
+    reset();
+    onClose();
+  };
+
+  const parse = (content) => {
+    setError(null);
+    try {
+      const data = parseConnectionFile(content);
+      if (data.entries.length === 0) {
+        setError(['No SFTP connections found in this file', ...data.warnings].join('. '));
+        return;
+      }
+      setParsed(data);
+      // Entries that clash with saved connections are left for the user to pick
+      setSelected(new Set(data.entries
+        .map((entry, index) => (findConflict(entry, connections) ? null : index))
+        .filter(index => index !== null)));
+    } catch (err) {
+      setError(err.message || 'The file could not be read');
+    }
+  };
+
+  const handleFileSelect = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+      setError(`${file.name} is too large to be a connection list`);
+      return;
+    }
+    parse(await file.text());
+  };
+
+  const toggle = (index) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === parsed.entries.length
+      ? new Set()
+      : new Set(parsed.entries.map((entry, index) => index)));
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setError(null);
+
+    // Jump hosts are matched by name, imported connections taking the place
+    // of saved ones they were renamed against
+    const idsByName = new Map(connections.map(conn => [conn.name.toLowerCase(), conn.id]));
+    const usedNames = new Set(connections.map(conn => conn.name.toLowerCase()));
+    const failures = [];
+    let imported = 0;
+
+    const entries = orderForImport(parsed.entries.filter((entry, index) => selected.has(index)));
+    for (const entry of entries) {
+      const { warnings, jumpHostNames, ...fields } = entry;
+      const name = uniqueName(entry.name, usedNames);
+
+      try {
+        const saved = await saveConnection({
+          ...fields,
+          name,
+          jumpHosts: jumpHostNames
+            .map(jumpName => idsByName.get(jumpName.toLowerCase()))
+            .filter(Boolean)
+        });
+        usedNames.add(name.toLowerCase());
+        idsByName.set(entry.name.toLowerCase(), saved.id);
+        imported += 1;
+      } catch (err) {
+        failures.push(`${entry.name}: ${err.message}`);
+      }
+    }
+
+    setResult({ imported, failures });
+    setImporting(false);
+  };
+
+  const entryNames = new Set(parsed?.entries.map(entry => entry.name.toLowerCase()));
+  const savedNames = new Set(connections.map(conn => conn.name.toLowerCase()));
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] flex flex-col"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center space-x-2">
+                <SafeIcon icon={FiUpload} className="w-5 h-5 text-primary-600" />
+                <h3 className="text-lg font-semibold text-gray-900">Import Connections</h3>
+              </div>
+              <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+                <SafeIcon icon={FiX} className="w-5 h-5" />
+              </button>
+            </div>
+
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+                <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm">{error}</span>
+              </div>
+            )}
+
+            {result ? (
+              <div className="space-y-4">
+                <div className="flex items-center space-x-2 text-green-700">
+                  <SafeIcon icon={FiCheckCircle} className="w-5 h-5" />
+                  <span>Imported {result.imported} connection{result.imported === 1 ? '' : 's'}</span>
+                </div>
+                {result.failures.length > 0 && (
+                  <ul className="text-sm text-red-600 space-y-1">
+                    {result.failures.map(failure => <li key={failure}>{failure}</li>)}
+                  </ul>
+                )}
+                <div className="flex justify-end">
+                  <button
+                    onClick={handleClose}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                  >
+                    Done
+                  </button>
+                </div>
+              </div>
+            ) : parsed ? (
+              <>
+                <div className="flex items-center justify-between mb-2 text-sm text-gray-600">
+                  <span>
+                    {parsed.format}: {parsed.entries.length} connection{parsed.entries.length === 1 ? '' : 's'}, {selected.size} selected
+                  </span>
+                  <button onClick={toggleAll} className="text-primary-600 hover:text-primary-700">
+                    {selected.size === parsed.entries.length ? 'Select none' : 'Select all'}
+                  </button>
+                </div>
+                {parsed.warnings.map(warning => (
+                  <p key={warning} className="text-sm text-amber-700 mb-2">{warning}</p>
+                ))}
+
+                <div className="flex-1 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-200">
+                  {parsed.entries.map((entry, index) => {
+                    const conflict = findConflict(entry, connections);
+                    const missingJumps = entry.jumpHostNames.filter(name => (
+                      !entryNames.has(name.toLowerCase()) && !savedNames.has(name.toLowerCase())
+                    ));
+
+                    return (
+                      <label key={index} className="flex items-start space-x-3 p-3 hover:bg-gray-50 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(index)}
+                          onChange={() => toggle(index)}
+                          className="mt-1 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center space-x-2">
+                            <span className="font-medium text-gray-900">{entry.name}</span>
+                            {entry.folder && <span className="text-xs text-gray-500">in {entry.folder}</span>}
+                          </div>
+                          <p className="text-sm text-gray-500">
+                            {entry.username ? `${entry.username}@` : ''}{entry.host}:{entry.port}
+                            {' · '}
+                            {entry.authMethod === 'key' ? 'SSH key' : entry.password ? 'Password stored' : 'Password asked on connect'}
+                          </p>
+                          {entry.jumpHostNames.length > 0 && (
+                            <p className="text-xs text-gray-500 flex items-center space-x-1">
+                              <SafeIcon icon={FiCornerDownRight} className="w-3 h-3" />
+                              <span>via {entry.jumpHostNames.join(', ')}</span>
+                            </p>
+                          )}
+                          {conflict && (
+                            <p className="text-xs text-amber-700 flex items-center space-x-1 mt-1">
+                              <SafeIcon icon={FiAlertTriangle} className="w-3 h-3 flex-shrink-0" />
+                              <span>{conflict.reason}; imported as a separate connection</span>
+                            </p>
+                          )}
+                          {missingJumps.map(name => (
+                            <p key={name} className="text-xs text-amber-700">Jump host {name} is not in the file or saved</p>
+                          ))}
+                          {entry.warnings.map(warning => (
+                            <p key={warning} className="text-xs text-gray-500">{warning}</p>
+                          ))}
+                        </div>
+                      </label>
+                    );
+                  })}
+                </div>
+
+                <div className="flex space-x-3 mt-4">
+                  <button
+                    onClick={reset}
+                    disabled={importing}
+                    className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+                  >
+                    Back
+                  </button>
+                  <button
+                    onClick={handleImport}
+                    disabled={importing || selected.size === 0}
+                    className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+                  >
+                    {importing ? 'Importing...' : `Import ${selected.size}`}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Choose an OpenSSH config (<code>~/.ssh/config</code>), a FileZilla <code>sitemanager.xml</code>,
+                  a <code>WinSCP.ini</code> or a connection export from this app, or paste its content below.
+                  You can review the connections before anything is saved.
+                </p>
+                <button
+                  type="button"
+                  onClick={() => fileInput.current?.click()}
+                  className="w-full px-4 py-3 border-2 border-dashed border-gray-300 rounded-md text-gray-600 hover:border-primary-400 hover:text-primary-600 transition-colors flex items-center justify-center space-x-2"
+                >
+                  <SafeIcon icon={FiUpload} className="w-4 h-4" />
+                  <span>Choose File</span>
+                </button>
+                <input ref={fileInput} type="file" onChange={handleFileSelect} className="hidden" />
+                <textarea
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  rows={8}
+                  spellCheck={false}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder={'Host example\n  HostName example.com\n  User deploy'}
+                />
+                <div className="flex space-x-3">
+                  <button
+                    onClick={handleClose}
+                    className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => parse(text)}
+                    disabled={!text.trim()}
+                    className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+                  >
+                    Preview
+                  </button>
+                </div>
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ConnectionImportDialog;
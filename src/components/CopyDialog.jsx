@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import { formatBytes } from '../lib/transferProgress';
+import { joinPath, dirname, basename } from '../lib/remotePath';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiCopy, FiAlertCircle, FiAlertTriangle, FiCheckCircle } = FiIcons;
+
+// Copies made next to their original are named "report copy.txt", then
+// "report copy 2.txt" and so on until a free name is found
+const MAX_COPY_NAMES = 100;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const copyName = (name, isDirectory, attempt) => {
+  const dot = isDirectory ? -1 : name.lastIndexOf('.');
+  const [stem, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  return `${stem} copy${attempt > 1 ? ` ${attempt}` : ''}${extension}`;
+};
+
+// Copy files and folders on the bridge, one after another, to a folder of
+// the same or another open session. job is { session, sources, targetSession,
+// targetDir }, sources being { path, isDirectory }.
+const CopyDialog = ({ job, onClose, onCopied }) => {
+  // running, done or stopped
+  const [phase, setPhase] = useState('running');
+  const [current, setCurrent] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // { path, target, files, failures } per source, or { path, error }
+  const [results, setResults] = useState([]);
+  const controller = useRef(null);
+
+  useEffect(() => {
+    if (!job) return;
+
+    const copying = new AbortController();
+    controller.current = copying;
+    setPhase('running');
+    setResults([]);
+
+    const copyOne = async ({ path, isDirectory }) => {
+      const sameFolder = job.targetSession === job.session && dirname(path) === job.targetDir;
+      const options = { targetSession: job.targetSession, signal: copying.signal, onProgress: setProgress };
+
+      if (sameFolder) {
+        for (let attempt = 1; attempt <= MAX_COPY_NAMES; attempt++) {
+          try {
+            return await job.session.copy(path, joinPath(job.targetDir, copyName(basename(path), isDirectory, attempt)), options);
+          } catch (err) {
+            if (err.code !== 'EXISTS') throw err;
+          }
+        }
+        throw new Error('No free name found for the copy');
+      }
+
+      const target = joinPath(job.targetDir, basename(path));
+      try {
+        return await job.session.copy(path, target, options);
+      } catch (err) {
+        const question = isDirectory
+          ? `${target} already exists. Copy into it, replacing files with the same names?`
+          : `${target} already exists. Replace it?`;
+        if (err.code !== 'EXISTS' || !confirm(question)) throw err;
+        return job.session.copy(path, target, { ...options, overwrite: true });
+      }
+    };
+
+    const run = async () => {
+      for (const source of job.sources) {
+        setCurrent(source.path);
+        setProgress(null);
+        try {
+          const data = await copyOne(source);
+          setResults(prev => [...prev, { path: source.path, target: data.targetPath, files: data.files, failures: data.failures }]);
+        } catch (err) {
+          if (err.name === 'AbortError') {
+            // Closing the dialog or a new job also aborts; only a stop
+            // with the dialog still showing this job is reported
+            if (controller.current === copying) {
+              setPhase('stopped');
+              onCopied();
+            }
+            return;
+          }
+          setResults(prev => [...prev, { path: source.path, error: err.message || 'Copy failed' }]);
+        }
+      }
+      setPhase('done');
+      onCopied();
+    };
+    run();
+
+    return () => copying.abort();
+  }, [job]);
+
+  const handleClose = () => {
+    controller.current?.abort();
+    onClose();
+  };
+
+  const percent = progress?.total ? Math.round((progress.bytes / progress.total) * 100) : 0;
+  const copied = results.filter(result => !result.error);
+  const problems = results.flatMap(result => (result.error
+    ? [{ path: result.path, error: result.error }]
+    : result.failures));
+
+  return (
+    <AnimatePresence>
+      {job && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg"
+          >
+            <div className="flex items-center space-x-2 mb-4">
+              <SafeIcon icon={FiCopy} className="w-5 h-5 text-primary-600" />
+              <h3 className="text-lg font-semibold text-gray-900">
+                Copy {job.sources.length === 1 ? basename(job.sources[0].path) : plural(job.sources.length, 'item')}
+              </h3>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              To <span className="font-mono break-all">{job.targetDir}</span>
+              {job.targetSession !== job.session && ` on ${job.targetSession.connection.name}`}
+            </p>
+
+            {phase === 'running' && (
+              <div className="mb-4">
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span className="truncate" title={progress?.path || current}>
+                    {progress ? `${formatBytes(progress.bytes)} of ${formatBytes(progress.total)}` : `Preparing ${basename(current || '')}`}
+                  </span>
+                  <span>{percent}%</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-primary-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+                </div>
+                {progress?.path && (
+                  <p className="text-xs text-gray-500 font-mono truncate mt-1" title={progress.path}>{progress.path}</p>
+                )}
+              </div>
+            )}
+
+            {phase !== 'running' && copied.length > 0 && (
+              <div className="flex items-center space-x-2 text-sm text-green-700 mb-4">
+                <SafeIcon icon={FiCheckCircle} className="w-4 h-4" />
+                <span>
+                  Copied {copied.length === 1 ? `to ${basename(copied[0].target)}` : plural(copied.length, 'item')}
+                  {' '}({plural(copied.reduce((sum, result) => sum + result.files, 0), 'file')})
+                </span>
+              </div>
+            )}
+
+            {phase === 'stopped' && (
+              <div className="flex items-center space-x-2 text-sm text-amber-700 mb-4">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4" />
+                <span>Stopped; files copied before that were kept</span>
+              </div>
+            )}
+
+            {problems.length > 0 && (
+              <div className="mb-4">
+                <p className="text-sm font-medium text-red-700 mb-1 flex items-center space-x-1">
+                  <SafeIcon icon={FiAlertCircle} className="w-4 h-4" />
+                  <span>{plural(problems.length, 'item')} could not be copied</span>
+                </p>
+                <ul className="max-h-40 overflow-y-auto text-xs border border-red-200 rounded-md divide-y divide-red-100">
+                  {problems.map(problem => (
+                    <li key={problem.path} className="px-3 py-1">
+                      <span className="font-mono text-gray-700 break-all">{problem.path}</span>
+                      <span className="text-red-600">: {problem.error}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <button
+                onClick={phase === 'running' ? () => controller.current?.abort() : handleClose}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+              >
+                {phase === 'running' ? 'Stop' : 'Close'}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default CopyDialog;
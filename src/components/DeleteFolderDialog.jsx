@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import { formatBytes } from '../lib/transferProgress';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiTrash2, FiAlertCircle, FiAlertTriangle, FiCheckCircle, FiRefreshCw } = FiIcons;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Delete a folder with everything in it: the bridge first counts what is
+// inside, the user confirms, then progress and failures stream in until the
+// bridge is done or the user stops it
+const DeleteFolderDialog = ({ session, path, onClose, onDeleted }) => {
+  // scanning, confirm, deleting, done or stopped
+  const [phase, setPhase] = useState('scanning');
+  const [summary, setSummary] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const controller = useRef(null);
+
+  useEffect(() => {
+    if (!path) return;
+
+    setPhase('scanning');
+    setSummary(null);
+    setProgress(null);
+    setResult(null);
+    setError(null);
+
+    const scan = new AbortController();
+    controller.current = scan;
+    session.scanTree(path, { signal: scan.signal, onProgress: setSummary })
+      .then((data) => {
+        setSummary(data);
+        setPhase('confirm');
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to scan folder');
+        setPhase('done');
+      });
+
+    return () => scan.abort();
+  }, [session, path]);
+
+  const handleDelete = async () => {
+    const deletion = new AbortController();
+    controller.current = deletion;
+    setPhase('deleting');
+    setProgress({ deleted: 0, total: summary.files + summary.directories + 1, failures: [] });
+
+    try {
+      const data = await session.deleteTree(path, { signal: deletion.signal, onProgress: setProgress });
+      setResult(data);
+      setPhase('done');
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setPhase('stopped');
+      } else {
+        setError(err.message || 'Failed to delete folder');
+        setPhase('done');
+      }
+    }
+    onDeleted();
+  };
+
+  const handleClose = () => {
+    controller.current?.abort();
+    onClose();
+  };
+
+  const failures = result?.failures || progress?.failures || [];
+  const percent = progress?.total ? Math.round((progress.deleted / progress.total) * 100) : 0;
+
+  return (
+    <AnimatePresence>
+      {path && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg"
+          >
+            <div className="flex items-center space-x-2 mb-4">
+              <SafeIcon icon={FiTrash2} className="w-5 h-5 text-red-600" />
+              <h3 className="text-lg font-semibold text-gray-900">Delete Folder</h3>
+            </div>
+            <p className="text-sm font-mono text-gray-700 break-all mb-4">{path}</p>
+
+            {phase === 'scanning' && (
+              <div className="flex items-center space-x-2 text-sm text-gray-600 mb-4">
+                <SafeIcon icon={FiRefreshCw} className="w-4 h-4 animate-spin" />
+                <span>
+                  Counting contents
+                  {summary && `: ${plural(summary.files, 'file')}, ${plural(summary.directories, 'folder')} so far`}
+                </span>
+              </div>
+            )}
+
+            {phase === 'confirm' && (
+              <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-md mb-4 text-sm space-y-1">
+                <p>
+                  This permanently deletes the folder with {plural(summary.files, 'file')} ({formatBytes(summary.bytes)})
+                  and {plural(summary.directories, 'subfolder')}.
+                </p>
+                {summary.unreadable > 0 && (
+                  <p>{plural(summary.unreadable, 'subfolder')} could not be read and may not be deleted.</p>
+                )}
+              </div>
+            )}
+
+            {progress && (
+              <div className="mb-4">
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>{progress.deleted} of {progress.total} deleted</span>
+                  <span>{percent}%</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-red-500 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+                </div>
+                {phase === 'deleting' && progress.path && (
+                  <p className="text-xs text-gray-500 font-mono truncate mt-1" title={progress.path}>{progress.path}</p>
+                )}
+              </div>
+            )}
+
+            {phase === 'done' && result && failures.length === 0 && (
+              <div className="flex items-center space-x-2 text-sm text-green-700 mb-4">
+                <SafeIcon icon={FiCheckCircle} className="w-4 h-4" />
+                <span>Deleted {plural(result.deleted, 'item')}</span>
+              </div>
+            )}
+
+            {phase === 'stopped' && (
+              <div className="flex items-center space-x-2 text-sm text-amber-700 mb-4">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4" />
+                <span>Stopped; {plural(progress?.deleted || 0, 'item')} had already been deleted</span>
+              </div>
+            )}
+
+            {failures.length > 0 && (
+              <div className="mb-4">
+                <p className="text-sm font-medium text-red-700 mb-1">{plural(failures.length, 'item')} could not be deleted</p>
+                <ul className="max-h-40 overflow-y-auto text-xs border border-red-200 rounded-md divide-y divide-red-100">
+                  {failures.map(failure => (
+                    <li key={failure.path} className="px-3 py-1">
+                      <span className="font-mono text-gray-700 break-all">{failure.path}</span>
+                      <span className="text-red-600">: {failure.error}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+                <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm">{error}</span>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              {phase === 'confirm' ? (
+                <>
+                  <button
+                    onClick={handleClose}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors flex items-center space-x-2"
+                  >
+                    <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                    <span>Delete Everything</span>
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={phase === 'deleting' ? () => controller.current?.abort() : handleClose}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  {phase === 'deleting' ? 'Stop' : phase === 'scanning' ? 'Cancel' : 'Close'}
+                </button>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default DeleteFolderDialog;
@@ -0,0 +1,551 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import { formatBytes } from '../lib/transferProgress';
+import { basename } from '../lib/remotePath';
+import { looksBinary } from '../lib/textCodec';
+import { getPreviewSettings } from '../lib/previewSettings';
+import * as FiIcons from 'react-icons/fi';
+
+const {
+  FiEye, FiX, FiEdit3, FiRefreshCw, FiAlertCircle, FiChevronLeft, FiChevronRight,
+  FiChevronsLeft, FiChevronsRight
+} = FiIcons;
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml'
+};
+
+const VIEW_LABELS = { image: 'Image', pdf: 'PDF', text: 'Text', hex: 'Hex' };
+
+// How often tail mode checks a followed file for new lines
+const FOLLOW_INTERVAL = 2000;
+
+// Text kept in tail mode while following, in multiples of the chunk size;
+// older lines are dropped
+const TAIL_KEEP = 4;
+
+const HEX_COLUMNS = 16;
+
+const extensionOf = (name) => name.slice(name.lastIndexOf('.') + 1).toLowerCase();
+
+const previewKind = (name) => {
+  const extension = extensionOf(name);
+  if (IMAGE_TYPES[extension]) return 'image';
+  if (extension === 'pdf') return 'pdf';
+  return 'text';
+};
+
+const errorBox = (message) => (
+  <div className="m-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+    <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+    <span className="text-sm">{message}</span>
+  </div>
+);
+
+const loadingNote = (label) => (
+  <div className="flex items-center justify-center space-x-2 text-sm text-gray-500 py-8">
+    <SafeIcon icon={FiRefreshCw} className="w-4 h-4 animate-spin" />
+    <span>{label}</span>
+  </div>
+);
+
+// Images and PDFs are read whole, up to the configured limit, and handed to
+// the browser to display
+const MediaView = ({ session, path, size, kind, limit }) => {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState(null);
+  const tooLarge = size > limit;
+
+  useEffect(() => {
+    setUrl(null);
+    setError(null);
+    if (tooLarge || size === 0) return;
+
+    const reading = new AbortController();
+    let objectUrl = null;
+    session.readRange(path, 0, size, { signal: reading.signal })
+      .then(({ bytes }) => {
+        const type = kind === 'pdf' ? 'application/pdf' : IMAGE_TYPES[extensionOf(path)];
+        objectUrl = URL.createObjectURL(new Blob([bytes], { type }));
+        setUrl(objectUrl);
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to read file');
+      });
+
+    return () => {
+      reading.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [session, path, size, kind, tooLarge]);
+
+  if (size === 0) {
+    return <p className="text-sm text-gray-500 p-4">The file is empty</p>;
+  }
+  if (tooLarge) {
+    return (
+      <p className="text-sm text-gray-500 p-4">
+        At {formatBytes(size)} this file is larger than the {formatBytes(limit)} preview limit for
+        {kind === 'pdf' ? ' PDFs' : ' images'}, which can be raised in Settings. The hex view reads it a page at a time.
+      </p>
+    );
+  }
+  if (error) return errorBox(error);
+  if (!url) return loadingNote(`Reading ${formatBytes(size)}`);
+
+  return kind === 'pdf' ? (
+    <iframe title={basename(path)} src={url} className="w-full h-full border-0" />
+  ) : (
+    <div className="h-full overflow-auto p-4 flex items-center justify-center bg-gray-100">
+      <img src={url} alt={basename(path)} className="max-w-full max-h-full object-contain" />
+    </div>
+  );
+};
+
+// The first chunk of a text file, extended on request, or its last chunk,
+// optionally following what is appended like tail -f. Text is decoded as
+// UTF-8; the editor handles other encodings. Content that looks binary
+// is handed to the hex view unless allowBinary is set.
+const TextView = ({ session, path, size, chunk, allowBinary, onBinary }) => {
+  // head or tail
+  const [mode, setMode] = useState('head');
+  // Decoded text and the bytes of the file it covers
+  const [content, setContent] = useState(null);
+  const [follow, setFollow] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const decoder = useRef(null);
+  const scroller = useRef(null);
+  const reading = useRef(null);
+  // Set while a poll is in flight, so a slow one is not overtaken
+  const polling = useRef(false);
+
+  const read = async (offset, length) => {
+    reading.current?.abort();
+    const controller = new AbortController();
+    reading.current = controller;
+    return session.readRange(path, offset, length, { signal: controller.signal });
+  };
+
+  const run = async (task) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await task();
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Failed to read file');
+        setFollow(false);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadHead = () => run(async () => {
+    const { bytes, size: total } = await read(0, chunk);
+    if (!allowBinary && looksBinary(bytes)) {
+      onBinary();
+      return;
+    }
+    // Streaming decode, so a character split between chunks survives
+    decoder.current = new TextDecoder('utf-8');
+    setContent({ text: decoder.current.decode(bytes, { stream: true }), start: 0, end: bytes.length, size: total });
+  });
+
+  const loadTail = (fileSize = size) => run(async () => {
+    const start = Math.max(0, fileSize - chunk);
+    const { bytes, size: total } = await read(start, chunk);
+    decoder.current = new TextDecoder('utf-8');
+    let text = decoder.current.decode(bytes, { stream: true });
+    // Reading from the middle of the file starts mid-line
+    if (start > 0 && text.includes('\n')) {
+      text = text.slice(text.indexOf('\n') + 1);
+    }
+    setContent({ text, start, end: start + bytes.length, size: total });
+  });
+
+  const loadMore = () => run(async () => {
+    const { bytes, size: total } = await read(content.end, chunk);
+    setContent(prev => ({
+      ...prev,
+      text: prev.text + decoder.current.decode(bytes, { stream: true }),
+      end: prev.end + bytes.length,
+      size: total
+    }));
+  });
+
+  useEffect(() => {
+    setContent(null);
+    setFollow(false);
+    if (mode === 'head') {
+      loadHead();
+    } else {
+      loadTail();
+    }
+    return () => reading.current?.abort();
+  }, [session, path, mode, chunk]);
+
+  // Poll for appended bytes; a file that shrank was truncated or rotated
+  // and is read again from its new end
+  useEffect(() => {
+    if (!follow || mode !== 'tail') return;
+
+    const timer = setInterval(async () => {
+      if (busy || !content || polling.current) return;
+      polling.current = true;
+      try {
+        const stats = await session.stat(path);
+        if (stats.size === content.end) return;
+        if (stats.size < content.end || stats.size - content.end > chunk) {
+          loadTail(stats.size);
+          return;
+        }
+        const { bytes, size: total } = await read(content.end, stats.size - content.end);
+        setContent(prev => {
+          let text = prev.text + decoder.current.decode(bytes, { stream: true });
+          if (text.length > chunk * TAIL_KEEP) {
+            const cut = text.indexOf('\n', text.length - chunk * TAIL_KEEP);
+            text = cut >= 0 ? text.slice(cut + 1) : text;
+          }
+          return { ...prev, text, end: prev.end + bytes.length, size: total };
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to follow file');
+        setFollow(false);
+      } finally {
+        polling.current = false;
+      }
+    }, FOLLOW_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [follow, mode, busy, content, session, path, chunk]);
+
+  // Keep the newest lines in view in tail mode
+  useEffect(() => {
+    if (mode === 'tail' && scroller.current) {
+      scroller.current.scrollTop = scroller.current.scrollHeight;
+    }
+  }, [mode, content?.text]);
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 border-b border-gray-200 text-xs text-gray-600">
+        <div className="flex rounded-md border border-gray-300 overflow-hidden">
+          {['head', 'tail'].map(option => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              className={`px-3 py-1 ${mode === option ? 'bg-primary-600 text-white' : 'hover:bg-gray-50'}`}
+            >
+              {option === 'head' ? 'Start' : 'End'}
+            </button>
+          ))}
+        </div>
+        {content && (
+          <span>
+            Bytes {formatBytes(content.start)}–{formatBytes(content.end)} of {formatBytes(content.size)}
+          </span>
+        )}
+        {mode === 'tail' ? (
+          <label className="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={follow}
+              onChange={(e) => setFollow(e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span>Follow</span>
+          </label>
+        ) : (
+          content && content.end < content.size && (
+            <button
+              onClick={loadMore}
+              disabled={busy}
+              className="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Load {formatBytes(Math.min(chunk, content.size - content.end))} more
+            </button>
+          )
+        )}
+      </div>
+      {error && errorBox(error)}
+      {!content && !error && loadingNote('Reading')}
+      {content && (
+        <pre ref={scroller} className="flex-1 min-h-0 overflow-auto m-0 p-4 font-mono text-xs leading-5 text-gray-800 whitespace-pre">
+          {content.text}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+const formatOffset = (offset) => offset.toString(16).padStart(8, '0');
+
+const printable = (byte) => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.');
+
+// Parse an offset typed as decimal or 0x-prefixed hex
+const parseOffset = (text) => {
+  const value = text.trim().toLowerCase();
+  if (/^0x[\da-f]+$/.test(value)) return parseInt(value.slice(2), 16);
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return null;
+};
+
+// One page of the file at a time as offsets, hex bytes and ASCII
+const HexView = ({ session, path, size, pageSize }) => {
+  const [offset, setOffset] = useState(0);
+  const [bytes, setBytes] = useState(null);
+  const [jump, setJump] = useState('');
+  const [error, setError] = useState(null);
+
+  const lastPage = Math.max(0, Math.ceil(size / pageSize) - 1) * pageSize;
+
+  useEffect(() => {
+    setOffset(0);
+  }, [path, pageSize]);
+
+  useEffect(() => {
+    setError(null);
+    if (size === 0) {
+      setBytes(new Uint8Array(0));
+      return;
+    }
+
+    setBytes(null);
+    const reading = new AbortController();
+    session.readRange(path, offset, pageSize, { signal: reading.signal })
+      .then((data) => setBytes(data.bytes))
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to read file');
+      });
+    return () => reading.abort();
+  }, [session, path, offset, pageSize, size]);
+
+  const rows = useMemo(() => {
+    if (!bytes) return [];
+    const result = [];
+    for (let i = 0; i < bytes.length; i += HEX_COLUMNS) {
+      const row = Array.from(bytes.subarray(i, i + HEX_COLUMNS));
+      const hex = row.map(byte => byte.toString(16).padStart(2, '0'));
+      result.push({
+        offset: offset + i,
+        hex: [hex.slice(0, 8).join(' '), hex.slice(8).join(' ')].join('  ').padEnd(HEX_COLUMNS * 3, ' '),
+        ascii: row.map(printable).join('')
+      });
+    }
+    return result;
+  }, [bytes, offset]);
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = parseOffset(jump);
+    if (target === null || target >= Math.max(size, 1)) {
+      setError(`Enter an offset below ${size} (decimal, or hex starting with 0x)`);
+      return;
+    }
+    setOffset(Math.floor(target / pageSize) * pageSize);
+    setJump('');
+  };
+
+  const navButton = (icon, target, title) => (
+    <button
+      onClick={() => setOffset(target)}
+      disabled={target === offset || target < 0 || target > lastPage}
+      className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+      title={title}
+    >
+      <SafeIcon icon={icon} className="w-4 h-4" />
+    </button>
+  );
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 border-b border-gray-200 text-xs text-gray-600">
+        <div className="flex items-center space-x-1">
+          {navButton(FiChevronsLeft, 0, 'First page')}
+          {navButton(FiChevronLeft, offset - pageSize, 'Previous page')}
+          <span className="px-2">
+            Page {offset / pageSize + 1} of {lastPage / pageSize + 1}
+          </span>
+          {navButton(FiChevronRight, offset + pageSize, 'Next page')}
+          {navButton(FiChevronsRight, lastPage, 'Last page')}
+        </div>
+        <form onSubmit={handleJump} className="flex items-center space-x-1">
+          <input
+            type="text"
+            value={jump}
+            onChange={(e) => setJump(e.target.value)}
+            placeholder="Offset, e.g. 0x1f00"
+            className="w-36 px-2 py-1 border border-gray-300 rounded-md font-mono focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <button type="submit" className="px-2 py-1 border border-gray-300 rounded-md hover:bg-gray-50">Go</button>
+        </form>
+      </div>
+      {error && errorBox(error)}
+      {!bytes && !error && loadingNote('Reading')}
+      {bytes && (
+        <pre className="flex-1 min-h-0 overflow-auto m-0 p-4 font-mono text-xs leading-5 text-gray-800">
+          {rows.map(row => (
+            <div key={row.offset}>
+              <span className="text-gray-400">{formatOffset(row.offset)}</span>
+              {'  '}{row.hex}{'  '}
+              <span className="text-primary-700">{row.ascii}</span>
+            </div>
+          ))}
+          {size === 0 && <span className="text-gray-500">The file is empty</span>}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+// Side pane showing a file without downloading it: images and PDFs up to a
+// size limit, the start or end of text files, and any file as hex one page
+// at a time. Only the bytes needed are read from the bridge.
+const FilePreview = ({ session, path, onClose, onEdit }) => {
+  const [stats, setStats] = useState(null);
+  const [view, setView] = useState('text');
+  const [binary, setBinary] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped to read the file again after it changed
+  const [reload, setReload] = useState(0);
+
+  const kind = path ? previewKind(basename(path)) : 'text';
+  // Read on every open, so changes made in Settings apply
+  const settings = useMemo(getPreviewSettings, [path, reload]);
+
+  useEffect(() => {
+    if (!path) return;
+
+    setStats(null);
+    setError(null);
+    setBinary(false);
+    setView(previewKind(basename(path)));
+
+    const controller = new AbortController();
+    session.stat(path, { signal: controller.signal })
+      .then(setStats)
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to read file');
+      });
+    return () => controller.abort();
+  }, [session, path, reload]);
+
+  const handleBinary = () => {
+    setBinary(true);
+    setView('hex');
+  };
+
+  const views = [kind, 'hex'];
+
+  return (
+    <AnimatePresence>
+      {path && (
+        <motion.div
+          initial={{ x: '100%' }}
+          animate={{ x: 0 }}
+          exit={{ x: '100%' }}
+          transition={{ type: 'tween', duration: 0.2 }}
+          className="fixed top-0 right-0 bottom-0 w-full md:w-[40rem] bg-white border-l border-gray-200 shadow-xl z-40 flex flex-col"
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <div className="flex items-center space-x-2 min-w-0">
+              <SafeIcon icon={FiEye} className="w-5 h-5 text-primary-600 flex-shrink-0" />
+              <div className="min-w-0">
+                <h3 className="font-semibold text-gray-900 truncate" title={path}>{basename(path)}</h3>
+                {stats && <p className="text-xs text-gray-500">{formatBytes(stats.size)}</p>}
+              </div>
+            </div>
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              {kind === 'text' && !binary && (
+                <button
+                  onClick={() => onEdit(path)}
+                  className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors flex items-center space-x-1"
+                >
+                  <SafeIcon icon={FiEdit3} className="w-4 h-4" />
+                  <span>Edit</span>
+                </button>
+              )}
+              <button
+                onClick={() => setReload(count => count + 1)}
+                className="p-2 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+                title="Reload"
+              >
+                <SafeIcon icon={FiRefreshCw} className="w-4 h-4" />
+              </button>
+              <button
+                onClick={onClose}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                title="Close"
+              >
+                <SafeIcon icon={FiX} className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex border-b border-gray-200 px-4">
+            {views.map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-3 py-2 text-sm border-b-2 -mb-px transition-colors ${
+                  view === option
+                    ? 'border-primary-600 text-primary-700'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {VIEW_LABELS[option]}
+              </button>
+            ))}
+            {binary && view === 'hex' && (
+              <span className="ml-auto self-center text-xs text-gray-500">Binary content</span>
+            )}
+          </div>
+
+          <div className="flex-1 min-h-0" key={`${path}:${reload}`}>
+            {error && errorBox(error)}
+            {!stats && !error && loadingNote('Opening')}
+            {stats && (view === 'image' || view === 'pdf') && (
+              <MediaView
+                session={session}
+                path={path}
+                size={stats.size}
+                kind={view}
+                limit={view === 'pdf' ? settings.maxPdfSize : settings.maxImageSize}
+              />
+            )}
+            {stats && view === 'text' && (
+              <TextView
+                session={session}
+                path={path}
+                size={stats.size}
+                chunk={settings.textChunk}
+                allowBinary={binary}
+                onBinary={handleBinary}
+              />
+            )}
+            {stats && view === 'hex' && (
+              <HexView session={session} path={path} size={stats.size} pageSize={settings.hexPageSize} />
+            )}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default FilePreview;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import { joinPath, dirname } from '../lib/remotePath';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiFolder, FiX, FiArrowUp, FiRefreshCw, FiAlertCircle } = FiIcons;
+
+// Browse the folders of a session and pick one, e.g. as a move target.
+// isDisabled(path, session) can rule out folders that cannot be picked.
+// Given sessions ({ id, name, session, path } of every open session), the
+// user can also browse another server; onSelect receives the path and the
+// session it belongs to.
+const FolderPickerDialog = ({ open, session, sessions, initialPath, title, actionLabel, isDisabled, onSelect, onClose }) => {
+  const [current, setCurrent] = useState(session);
+  const [path, setPath] = useState(initialPath || '/');
+  const [folders, setFolders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setCurrent(session);
+      setPath(initialPath || '/');
+    }
+  }, [open, session, initialPath]);
+
+  const switchSession = (id) => {
+    const target = sessions.find(entry => entry.id === id);
+    setCurrent(target.session);
+    setPath(target.session === session ? initialPath || '/' : target.path || '/');
+  };
+
+  useEffect(() => {
+    if (!open || !current) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    current.listFiles(path)
+      .then((files) => {
+        if (cancelled) return;
+        setFolders(files
+          .filter(file => file.type === 'folder')
+          .sort((a, b) => a.name.localeCompare(b.name)));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setFolders([]);
+        setError(err.message || 'Failed to list folders');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, current, path]);
+
+  const disabled = isDisabled?.(path, current);
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-md"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+                <SafeIcon icon={FiX} className="w-5 h-5" />
+              </button>
+            </div>
+
+            {sessions?.length > 1 && (
+              <select
+                value={current?.id || ''}
+                onChange={(e) => switchSession(e.target.value)}
+                className="w-full mb-2 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {sessions.map(entry => (
+                  <option key={entry.id} value={entry.id}>{entry.name}</option>
+                ))}
+              </select>
+            )}
+
+            <div className="flex items-center space-x-2 mb-2">
+              <button
+                onClick={() => setPath(dirname(path))}
+                disabled={path === '/'}
+                className="p-1 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                title="Parent folder"
+              >
+                <SafeIcon icon={FiArrowUp} className="w-4 h-4" />
+              </button>
+              <span className="flex-1 text-sm font-mono text-gray-700 truncate" title={path}>{path}</span>
+              {loading && <SafeIcon icon={FiRefreshCw} className="w-4 h-4 text-gray-400 animate-spin" />}
+            </div>
+
+            <div className="h-64 overflow-y-auto border border-gray-200 rounded-md mb-4">
+              {error ? (
+                <div className="p-3 text-sm text-red-700 flex items-center space-x-2">
+                  <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              ) : folders.length > 0 ? (
+                folders.map(folder => (
+                  <button
+                    key={folder.name}
+                    onClick={() => setPath(joinPath(path, folder.name))}
+                    className="w-full flex items-center space-x-2 px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50"
+                  >
+                    <SafeIcon icon={FiFolder} className="w-4 h-4 text-blue-600 flex-shrink-0" />
+                    <span className="truncate">{folder.name}</span>
+                  </button>
+                ))
+              ) : !loading && (
+                <p className="p-3 text-sm text-gray-500">No subfolders</p>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => onSelect(path, current)}
+                disabled={disabled}
+                className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+              >
+                {actionLabel}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default FolderPickerDialog;
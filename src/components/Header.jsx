@@ -1,13 +1,18 @@
-import React from 'react';
-import { motion } from 'framer-motion';
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
 import { useConnection } from '../contexts/ConnectionContext';
+import { useAuth } from '../contexts/AuthContext';
 
-const { FiMenu, FiWifi, FiWifiOff, FiServer } = FiIcons;
+const { FiMenu, FiWifi, FiWifiOff, FiServer, FiChevronDown, FiCheck, FiLogOut } = FiIcons;
 
 const Header = ({ onMenuClick, currentView }) => {
-  const { isConnected, activeConnection, disconnect } = useConnection();
+  const { sessions, activeSessionId, switchSession, disconnect } = useConnection();
+  const { username, logOut } = useAuth();
+  const [showSessions, setShowSessions] = useState(false);
+
+  const activeSession = sessions.find(session => session.id === activeSessionId);
 
   const getViewTitle = () => {
     switch (currentView) {
@@ -42,31 +47,98 @@ const Header = ({ onMenuClick, currentView }) => {
         </div>
 
         <div className="flex items-center space-x-4">
-          {isConnected && activeConnection && (
-            <motion.div
-              initial={{ opacity: 0, scale: 0.9 }}
-              animate={{ opacity: 1, scale: 1 }}
-              className="flex items-center space-x-2 bg-green-50 px-3 py-1 rounded-full"
-            >
-              <SafeIcon icon={FiWifi} className="w-4 h-4 text-green-600" />
-              <span className="text-sm font-medium text-green-700">
-                {activeConnection.name}
-              </span>
-              <button
-                onClick={disconnect}
-                className="ml-2 text-green-600 hover:text-green-800 transition-colors"
+          {activeSession && (
+            <div className="relative">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.9 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="flex items-center space-x-2 bg-green-50 px-3 py-1 rounded-full"
               >
-                <SafeIcon icon={FiWifiOff} className="w-4 h-4" />
-              </button>
-            </motion.div>
+                <button
+                  onClick={() => setShowSessions(!showSessions)}
+                  className="flex items-center space-x-2"
+                  title="Switch Session"
+                >
+                  <SafeIcon icon={FiWifi} className="w-4 h-4 text-green-600" />
+                  <span className="text-sm font-medium text-green-700">
+                    {activeSession.name}
+                  </span>
+                  {sessions.length > 1 && (
+                    <span className="text-xs text-green-600">+{sessions.length - 1}</span>
+                  )}
+                  <SafeIcon icon={FiChevronDown} className="w-4 h-4 text-green-600" />
+                </button>
+                <button
+                  onClick={() => disconnect(activeSession.id)}
+                  className="ml-2 text-green-600 hover:text-green-800 transition-colors"
+                  title="Disconnect"
+                >
+                  <SafeIcon icon={FiWifiOff} className="w-4 h-4" />
+                </button>
+              </motion.div>
+
+              {/* Session Switcher */}
+              <AnimatePresence>
+                {showSessions && (
+                  <motion.div
+                    initial={{ opacity: 0, y: -5 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -5 }}
+                    className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg z-50 py-1"
+                  >
+                    <p className="px-4 py-2 text-xs font-medium text-gray-500 uppercase">Open Sessions</p>
+                    {sessions.map((session) => (
+                      <div
+                        key={session.id}
+                        className="flex items-center justify-between px-4 py-2 hover:bg-gray-50"
+                      >
+                        <button
+                          onClick={() => {
+                            switchSession(session.id);
+                            setShowSessions(false);
+                          }}
+                          className="flex items-center space-x-2 min-w-0 text-left"
+                        >
+                          <SafeIcon
+                            icon={FiCheck}
+                            className={`w-4 h-4 flex-shrink-0 ${session.id === activeSessionId ? 'text-green-600' : 'invisible'}`}
+                          />
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">{session.name}</p>
+                            <p className="text-xs text-gray-500 truncate">
+                              {session.connection.username}@{session.connection.host} • {session.state.currentPath}
+                            </p>
+                          </div>
+                        </button>
+                        <button
+                          onClick={() => disconnect(session.id)}
+                          className="ml-2 text-gray-400 hover:text-red-600 transition-colors"
+                          title="Disconnect"
+                        >
+                          <SafeIcon icon={FiWifiOff} className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </div>
           )}
           
-          {!isConnected && (
+          {!activeSession && (
             <div className="flex items-center space-x-2 bg-gray-50 px-3 py-1 rounded-full">
               <SafeIcon icon={FiWifiOff} className="w-4 h-4 text-gray-400" />
               <span className="text-sm text-gray-500">Disconnected</span>
             </div>
           )}
+
+          <button
+            onClick={logOut}
+            className="p-2 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+            title={`Log out ${username}`}
+          >
+            <SafeIcon icon={FiLogOut} className="w-4 h-4" />
+          </button>
         </div>
       </div>
     </header>
@@ -0,0 +1,115 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useConnection } from '../contexts/ConnectionContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiShield, FiAlertTriangle, FiCheck, FiX } = FiIcons;
+
+const HostKeyDialog = () => {
+  const { hostKeyPrompt, hostKeyWarning, answerHostKeyPrompt, dismissHostKeyWarning } = useConnection();
+  const navigate = useNavigate();
+
+  const handleManageKeys = () => {
+    dismissHostKeyWarning();
+    navigate('/settings');
+  };
+
+  return (
+    <AnimatePresence>
+      {(hostKeyPrompt || hostKeyWarning) && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg"
+          >
+            {hostKeyPrompt ? (
+              <>
+                <div className="flex items-center space-x-2 mb-4">
+                  <SafeIcon icon={FiShield} className="w-5 h-5 text-primary-600" />
+                  <h3 className="text-lg font-semibold text-gray-900">Unknown Host Key</h3>
+                </div>
+
+                <p className="text-sm text-gray-600 mb-4">
+                  The bridge has not connected to <span className="font-medium text-gray-900">{hostKeyPrompt.host}:{hostKeyPrompt.port}</span> before.
+                  Compare the fingerprint below with the one your server administrator gave you before trusting it.
+                </p>
+
+                <div className="bg-gray-50 rounded-md p-3 mb-6 space-y-1">
+                  <div className="text-xs text-gray-500">{hostKeyPrompt.keyType}</div>
+                  <div className="font-mono text-sm text-gray-900 break-all">{hostKeyPrompt.fingerprint}</div>
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => answerHostKeyPrompt(false)}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors flex items-center space-x-2"
+                  >
+                    <SafeIcon icon={FiX} className="w-4 h-4" />
+                    <span>Reject</span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => answerHostKeyPrompt(true)}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-2"
+                  >
+                    <SafeIcon icon={FiCheck} className="w-4 h-4" />
+                    <span>Trust and Connect</span>
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="flex items-center space-x-2 mb-4">
+                  <SafeIcon icon={FiAlertTriangle} className="w-5 h-5 text-red-600" />
+                  <h3 className="text-lg font-semibold text-red-700">Host Key Changed</h3>
+                </div>
+
+                <p className="text-sm text-gray-600 mb-4">{hostKeyWarning.error}</p>
+
+                <div className="space-y-3 mb-6">
+                  <div className="bg-gray-50 rounded-md p-3 space-y-1">
+                    <div className="text-xs text-gray-500">Trusted key ({hostKeyWarning.knownKeyType})</div>
+                    <div className="font-mono text-sm text-gray-900 break-all">{hostKeyWarning.knownFingerprint}</div>
+                  </div>
+                  <div className="bg-red-50 rounded-md p-3 space-y-1">
+                    <div className="text-xs text-red-600">Key offered now ({hostKeyWarning.keyType})</div>
+                    <div className="font-mono text-sm text-red-800 break-all">{hostKeyWarning.fingerprint}</div>
+                  </div>
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={handleManageKeys}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Manage Trusted Keys
+                  </button>
+                  <button
+                    type="button"
+                    onClick={dismissHostKeyWarning}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                  >
+                    Close
+                  </button>
+                </div>
+              </>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default HostKeyDialog;
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useConnection } from '../contexts/ConnectionContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiShield, FiTrash2, FiRefreshCw, FiAlertCircle } = FiIcons;
+
+const KnownHosts = () => {
+  const { getKnownHosts, revokeHostKey } = useConnection();
+  const [hosts, setHosts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHosts = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const list = await getKnownHosts();
+      setHosts(list.sort((a, b) => `${a.host}:${a.port}`.localeCompare(`${b.host}:${b.port}`)));
+    } catch (err) {
+      console.error('Error loading known hosts:', err);
+      setError(err.message || 'Failed to load trusted host keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadHosts();
+  }, []);
+
+  const handleRevoke = async (entry) => {
+    if (!confirm(`Stop trusting the host key of ${entry.host}:${entry.port}? You will be asked to verify it again on the next connect.`)) {
+      return;
+    }
+
+    try {
+      await revokeHostKey(entry.host, entry.port);
+      setHosts(prev => prev.filter(item => item !== entry));
+    } catch (err) {
+      console.error('Error revoking host key:', err);
+      setError(err.message || 'Failed to remove trusted host key');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+      className="bg-white rounded-lg border border-gray-200"
+    >
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <SafeIcon icon={FiShield} className="w-5 h-5 text-primary-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Trusted Host Keys</h3>
+        </div>
+        <button
+          onClick={loadHosts}
+          disabled={loading}
+          className="p-2 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100 transition-colors disabled:opacity-50"
+          title="Refresh"
+        >
+          <SafeIcon icon={FiRefreshCw} className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+      <div className="p-6">
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+            <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+
+        {hosts.length > 0 ? (
+          <div className="space-y-3">
+            {hosts.map((entry) => (
+              <div
+                key={`${entry.host}:${entry.port}`}
+                className="flex items-center justify-between p-4 bg-gray-50 rounded-lg"
+              >
+                <div className="min-w-0">
+                  <h4 className="font-medium text-gray-900">{entry.host}:{entry.port}</h4>
+                  <p className="text-sm text-gray-500">
+                    {entry.keyType} • trusted {new Date(entry.addedAt).toLocaleDateString()}
+                  </p>
+                  <p className="font-mono text-xs text-gray-600 break-all mt-1">{entry.fingerprint}</p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(entry)}
+                  className="p-2 text-red-400 hover:text-red-600 transition-colors flex-shrink-0"
+                  title="Revoke"
+                >
+                  <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          !loading && !error && (
+            <p className="text-sm text-gray-500 text-center py-4">
+              No host keys trusted yet. You will be asked to verify a server's key the first time you connect to it.
+            </p>
+          )
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default KnownHosts;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import { getPreviewSettings, savePreviewSettings, PREVIEW_LIMITS } from '../lib/previewSettings';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiEye } = FiIcons;
+
+// Each limit with the unit it is entered in
+const FIELDS = [
+  { name: 'maxImageSize', label: 'Largest Image', unit: 'MB', help: 'Images are read whole to be shown' },
+  { name: 'maxPdfSize', label: 'Largest PDF', unit: 'MB', help: 'PDFs are read whole to be rendered' },
+  { name: 'textChunk', label: 'Text Read at a Time', unit: 'KB', help: 'From the start of a text file, or its end in tail mode' },
+  { name: 'hexPageSize', label: 'Hex Page Size', unit: 'KB', help: 'Bytes shown per page of the hex viewer' }
+];
+
+const UNITS = { KB: 1024, MB: 1024 * 1024 };
+
+const PreviewSettings = () => {
+  const [settings, setSettings] = useState(getPreviewSettings);
+  // What is being typed, saved (and brought within bounds) on leaving the
+  // field so a half-typed number is not clamped
+  const [drafts, setDrafts] = useState({});
+
+  const handleChange = (e) => {
+    setDrafts(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleBlur = (e) => {
+    const { name } = e.target;
+    const value = parseFloat(e.target.value);
+    const { unit } = FIELDS.find(field => field.name === name);
+    if (!Number.isNaN(value)) {
+      setSettings(savePreviewSettings({ [name]: value * UNITS[unit] }));
+    }
+    setDrafts(({ [name]: _, ...rest }) => rest);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.22 }}
+      className="bg-white rounded-lg border border-gray-200"
+    >
+      <div className="p-6 border-b border-gray-200 flex items-center space-x-2">
+        <SafeIcon icon={FiEye} className="w-5 h-5 text-primary-600" />
+        <h3 className="text-lg font-semibold text-gray-900">Previews</h3>
+      </div>
+      <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        {FIELDS.map(({ name, label, unit, help }) => (
+          <div key={name}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {label} ({unit})
+            </label>
+            <input
+              type="number"
+              name={name}
+              min={PREVIEW_LIMITS[name].min / UNITS[unit]}
+              max={PREVIEW_LIMITS[name].max / UNITS[unit]}
+              step="any"
+              value={drafts[name] ?? settings[name] / UNITS[unit]}
+              onChange={handleChange}
+              onBlur={handleBlur}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">{help}</p>
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+};
+
+export default PreviewSettings;
@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import {
+  PERMISSION_CLASSES, SPECIAL_BITS, permissionBits, formatMode, toOctal, parseOctal
+} from '../lib/permissions';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiInfo, FiAlertCircle, FiAlertTriangle, FiCheckCircle } = FiIcons;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const parseId = (text) => (/^\d+$/.test(text.trim()) ? Number(text.trim()) : null);
+
+// Checkboxes for read, write and execute of owner, group and others, plus
+// the special bits, kept in step with an octal field the user can type in
+const PermissionMatrix = ({ mode, onChange, disabled }) => {
+  const [octal, setOctal] = useState(toOctal(mode));
+
+  // Follow changes made through the checkboxes, but leave what the user is
+  // typing alone while it still means the same mode
+  useEffect(() => {
+    setOctal(text => (parseOctal(text) === mode ? text : toOctal(mode)));
+  }, [mode]);
+
+  const toggle = (bit) => onChange(mode ^ bit);
+
+  const handleOctalChange = (text) => {
+    setOctal(text);
+    const parsed = parseOctal(text);
+    if (parsed !== null) onChange(parsed);
+  };
+
+  return (
+    <div className={disabled ? 'opacity-50' : ''}>
+      <table className="text-sm w-full">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-normal py-1" />
+            <th className="font-normal py-1">Read</th>
+            <th className="font-normal py-1">Write</th>
+            <th className="font-normal py-1">Execute</th>
+          </tr>
+        </thead>
+        <tbody>
+          {PERMISSION_CLASSES.map(permissionClass => (
+            <tr key={permissionClass.key}>
+              <td className="text-gray-700 py-1">{permissionClass.label}</td>
+              {permissionClass.bits.map(bit => (
+                <td key={bit} className="text-center py-1">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(mode & bit)}
+                    onChange={() => toggle(bit)}
+                    disabled={disabled}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2">
+        {SPECIAL_BITS.map(({ bit, label }) => (
+          <label key={bit} className="flex items-center space-x-1 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={Boolean(mode & bit)}
+              onChange={() => toggle(bit)}
+              disabled={disabled}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span>{label}</span>
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center space-x-3 mt-3">
+        <input
+          type="text"
+          value={octal}
+          onChange={(e) => handleOctalChange(e.target.value)}
+          onBlur={() => setOctal(toOctal(mode))}
+          disabled={disabled}
+          maxLength={4}
+          className={`w-20 px-2 py-1 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+            parseOctal(octal) === null ? 'border-red-400' : 'border-gray-300'
+          }`}
+          title="Octal mode"
+        />
+        <span className="font-mono text-sm text-gray-600">{formatMode(mode).slice(1)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Show and change the permissions, owner and group of an entry. For folders
+// the change can also be applied to everything inside, with separate modes
+// for the folders and the files found there.
+const PropertiesDialog = ({ session, path, file, onClose, onChanged }) => {
+  // edit, applying, done or stopped
+  const [phase, setPhase] = useState('edit');
+  const [mode, setMode] = useState(0);
+  const [fileMode, setFileMode] = useState(0o644);
+  const [uid, setUid] = useState('');
+  const [gid, setGid] = useState('');
+  const [names, setNames] = useState({ users: {}, groups: {} });
+  const [recursive, setRecursive] = useState(false);
+  const [changeFolders, setChangeFolders] = useState(true);
+  const [changeFiles, setChangeFiles] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const controller = useRef(null);
+
+  useEffect(() => {
+    if (!file) return;
+
+    setPhase('edit');
+    setMode(permissionBits(file.permissions));
+    setFileMode(0o644);
+    setUid(String(file.uid));
+    setGid(String(file.gid));
+    setNames({
+      users: file.owner ? { [file.uid]: file.owner } : {},
+      groups: file.group ? { [file.gid]: file.group } : {}
+    });
+    setRecursive(false);
+    setChangeFolders(true);
+    setChangeFiles(true);
+    setProgress(null);
+    setResult(null);
+    setError(null);
+  }, [file]);
+
+  // Ask the server for names the listing did not include, for the current
+  // owner when the dialog opens and for ids the user enters
+  const lookUpNames = async (uids, gids) => {
+    const missingUids = uids.filter(id => id !== null && !(id in names.users));
+    const missingGids = gids.filter(id => id !== null && !(id in names.groups));
+    if (missingUids.length === 0 && missingGids.length === 0) return;
+    try {
+      const found = await session.resolveIds(missingUids, missingGids);
+      setNames(prev => ({
+        users: { ...prev.users, ...found.users },
+        groups: { ...prev.groups, ...found.groups }
+      }));
+    } catch (err) {
+      // Names are a convenience; the numeric ids still work
+      console.warn('Could not look up owner names:', err.message);
+    }
+  };
+
+  useEffect(() => {
+    if (file && (!file.owner || !file.group)) {
+      lookUpNames(file.owner ? [] : [file.uid], file.group ? [] : [file.gid]);
+    }
+  }, [file]);
+
+  const newUid = parseId(uid);
+  const newGid = parseId(gid);
+  const ownerChanged = newUid !== file?.uid || newGid !== file?.gid;
+  const modeChanged = mode !== permissionBits(file?.permissions || 0);
+  const applyBelow = file?.isDirectory && recursive;
+  const invalid = newUid === null || newGid === null;
+  const nothingToDo = applyBelow
+    ? !changeFolders && !changeFiles && !ownerChanged
+    : !modeChanged && !ownerChanged;
+
+  const handleApply = async () => {
+    const changes = {
+      mode: !applyBelow || changeFolders ? mode : null,
+      fileMode: applyBelow && changeFiles ? fileMode : null,
+      // Owner and group are only sent when changed, as changing them needs
+      // rights most users lack even when the values stay the same
+      uid: ownerChanged ? newUid : null,
+      gid: ownerChanged ? newGid : null
+    };
+    const applying = new AbortController();
+    controller.current = applying;
+    setPhase('applying');
+    setError(null);
+    setProgress(null);
+
+    try {
+      const data = await session.setAttributes(path, changes, {
+        recursive: applyBelow,
+        signal: applying.signal,
+        onProgress: setProgress
+      });
+      onChanged();
+      if (!applyBelow) {
+        onClose();
+        return;
+      }
+      setResult(data);
+      setPhase('done');
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setPhase('stopped');
+        onChanged();
+      } else {
+        setError(err.message || 'Failed to change permissions');
+        setPhase(applyBelow ? 'done' : 'edit');
+      }
+    }
+  };
+
+  const handleClose = () => {
+    controller.current?.abort();
+    onClose();
+  };
+
+  const failures = result?.failures || progress?.failures || [];
+  const percent = progress?.total ? Math.round((progress.changed / progress.total) * 100) : 0;
+  const editing = phase === 'edit';
+
+  return (
+    <AnimatePresence>
+      {file && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-lg max-h-full overflow-y-auto"
+          >
+            <div className="flex items-center space-x-2 mb-1">
+              <SafeIcon icon={FiInfo} className="w-5 h-5 text-primary-600" />
+              <h3 className="text-lg font-semibold text-gray-900 truncate">{file.name}</h3>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              <span className="font-mono break-all">{path}</span>
+              {' • '}
+              <span className="font-mono">{formatMode(file.permissions)}</span>
+            </p>
+
+            <div className="space-y-4 mb-4">
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">
+                  {applyBelow ? 'Folders (this one and all inside)' : 'Permissions'}
+                </h4>
+                {applyBelow && (
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 mb-2">
+                    <input
+                      type="checkbox"
+                      checked={changeFolders}
+                      onChange={(e) => setChangeFolders(e.target.checked)}
+                      disabled={!editing}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>Change folder permissions</span>
+                  </label>
+                )}
+                <PermissionMatrix mode={mode} onChange={setMode} disabled={!editing || (applyBelow && !changeFolders)} />
+              </div>
+
+              {applyBelow && (
+                <div>
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">Files inside</h4>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 mb-2">
+                    <input
+                      type="checkbox"
+                      checked={changeFiles}
+                      onChange={(e) => setChangeFiles(e.target.checked)}
+                      disabled={!editing}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>Change file permissions</span>
+                  </label>
+                  <PermissionMatrix mode={fileMode} onChange={setFileMode} disabled={!editing || !changeFiles} />
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Owner (uid)</label>
+                  <input
+                    type="text"
+                    value={uid}
+                    onChange={(e) => setUid(e.target.value)}
+                    onBlur={() => lookUpNames([newUid], [])}
+                    disabled={!editing}
+                    className={`w-full px-3 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+                      newUid === null ? 'border-red-400' : 'border-gray-300'
+                    }`}
+                  />
+                  <p className="text-xs text-gray-500 mt-1 truncate">{names.users[newUid] || 'Name unknown'}</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Group (gid)</label>
+                  <input
+                    type="text"
+                    value={gid}
+                    onChange={(e) => setGid(e.target.value)}
+                    onBlur={() => lookUpNames([], [newGid])}
+                    disabled={!editing}
+                    className={`w-full px-3 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+                      newGid === null ? 'border-red-400' : 'border-gray-300'
+                    }`}
+                  />
+                  <p className="text-xs text-gray-500 mt-1 truncate">{names.groups[newGid] || 'Name unknown'}</p>
+                </div>
+              </div>
+
+              {file.isDirectory && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={recursive}
+                    onChange={(e) => setRecursive(e.target.checked)}
+                    disabled={!editing}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span>Apply to everything inside</span>
+                </label>
+              )}
+            </div>
+
+            {phase === 'applying' && applyBelow && (
+              <div className="mb-4">
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>{progress ? `${progress.changed} of ${progress.total} changed` : 'Listing the folder'}</span>
+                  <span>{percent}%</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-primary-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+                </div>
+                {progress?.path && (
+                  <p className="text-xs text-gray-500 font-mono truncate mt-1" title={progress.path}>{progress.path}</p>
+                )}
+              </div>
+            )}
+
+            {phase === 'done' && result && (
+              <div className="flex items-center space-x-2 text-sm text-green-700 mb-4">
+                <SafeIcon icon={FiCheckCircle} className="w-4 h-4" />
+                <span>Changed {plural(result.changed, 'item')}</span>
+              </div>
+            )}
+
+            {phase === 'stopped' && (
+              <div className="flex items-center space-x-2 text-sm text-amber-700 mb-4">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4" />
+                <span>Stopped; items changed before that keep their new permissions</span>
+              </div>
+            )}
+
+            {result?.skippedLinks > 0 && (
+              <p className="text-sm text-gray-500 mb-2">{plural(result.skippedLinks, 'link')} left unchanged</p>
+            )}
+
+            {failures.length > 0 && (
+              <div className="mb-4">
+                <p className="text-sm font-medium text-red-700 mb-1">{plural(failures.length, 'item')} could not be changed</p>
+                <ul className="max-h-40 overflow-y-auto text-xs border border-red-200 rounded-md divide-y divide-red-100">
+                  {failures.map(failure => (
+                    <li key={failure.path} className="px-3 py-1">
+                      <span className="font-mono text-gray-700 break-all">{failure.path}</span>
+                      <span className="text-red-600">: {failure.error}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {error && (
+              <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+                <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm">{error}</span>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              {editing ? (
+                <>
+                  <button
+                    onClick={handleClose}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleApply}
+                    disabled={invalid || nothingToDo}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Apply
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={phase === 'applying' ? () => controller.current?.abort() : handleClose}
+                  disabled={phase === 'applying' && !applyBelow}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  {phase === 'applying' ? 'Stop' : 'Close'}
+                </button>
+              )}
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default PropertiesDialog;
@@ -0,0 +1,504 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import { formatBytes } from '../lib/transferProgress';
+import { basename } from '../lib/remotePath';
+import { ENCODINGS, LINE_ENDINGS, decodeText, encodeText, looksBinary } from '../lib/textCodec';
+import { LANGUAGE_OPTIONS, languageForName, tokenize } from '../lib/syntaxHighlight';
+import { diffLines, mergeTexts } from '../lib/textDiff';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiFileText, FiSave, FiX, FiAlertCircle, FiAlertTriangle, FiRefreshCw, FiGitMerge } = FiIcons;
+
+// Larger files are not opened; they would make the browser sluggish
+const MAX_EDIT_SIZE = 5 * 1024 * 1024;
+
+// Beyond this many characters the text is shown without colours, as
+// re-highlighting on every keystroke gets slow
+const HIGHLIGHT_LIMIT = 200000;
+
+// Unchanged lines shown around each change in the conflict diff
+const DIFF_CONTEXT = 3;
+
+const TOKEN_CLASSES = {
+  comment: 'text-gray-500',
+  string: 'text-green-700',
+  number: 'text-amber-700',
+  keyword: 'text-purple-700',
+  property: 'text-sky-700',
+  tag: 'text-blue-700',
+  variable: 'text-pink-700'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Rows of the conflict diff: changed lines with a few unchanged ones around
+// them, longer unchanged stretches folded into a marker
+const diffRows = (runs) => runs.flatMap((run, index) => {
+  if (run.type !== 'equal') {
+    return run.lines.map(line => ({ type: run.type, line }));
+  }
+  const head = index > 0 ? run.lines.slice(0, DIFF_CONTEXT) : [];
+  const tail = index < runs.length - 1 ? run.lines.slice(-DIFF_CONTEXT) : [];
+  if (head.length + tail.length >= run.lines.length) {
+    return run.lines.map(line => ({ type: 'equal', line }));
+  }
+  return [
+    ...head.map(line => ({ type: 'equal', line })),
+    { type: 'fold', line: plural(run.lines.length - head.length - tail.length, 'unchanged line') },
+    ...tail.map(line => ({ type: 'equal', line }))
+  ];
+});
+
+const DIFF_ROW_CLASSES = {
+  insert: 'bg-green-50 text-green-800',
+  delete: 'bg-red-50 text-red-800',
+  equal: 'text-gray-600',
+  fold: 'text-gray-400 italic bg-gray-50'
+};
+
+const DIFF_ROW_PREFIX = { insert: '+ ', delete: '- ', equal: '  ', fold: '' };
+
+// Edit a remote text file. The bridge only accepts a save while the file
+// still has the size and mtime it had when opened (or last saved), so
+// changes made on the server meanwhile are shown as a diff to merge,
+// overwrite or reload instead of being lost.
+const TextEditor = ({ session, path, onClose, onSaved }) => {
+  // loading, editing, saving, conflict or failed
+  const [phase, setPhase] = useState('loading');
+  const [text, setText] = useState('');
+  // The server's version the edits are based on: { text, size, mtime }
+  const [base, setBase] = useState(null);
+  const [format, setFormat] = useState({ encoding: 'utf-8', bom: false, lineEnding: '\n' });
+  const [mixedLineEndings, setMixedLineEndings] = useState(false);
+  const [language, setLanguage] = useState('plain');
+  // The server's current version after a refused save, with its diff
+  const [conflict, setConflict] = useState(null);
+  const [cursor, setCursor] = useState({ line: 1, column: 1 });
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const controller = useRef(null);
+  const textArea = useRef(null);
+  const highlight = useRef(null);
+
+  const dirty = base !== null && text !== base.text;
+
+  // Download and decode the file as it is on the server now
+  const readRemote = async (signal) => {
+    const stats = await session.stat(path, { signal });
+    if (stats.isDirectory) {
+      throw new Error('This is a folder');
+    }
+    if (stats.size > MAX_EDIT_SIZE) {
+      throw new Error(`The file is ${formatBytes(stats.size)}; only files up to ${formatBytes(MAX_EDIT_SIZE)} can be edited here`);
+    }
+    const { blob, size, mtime } = await session.downloadFile(path, { signal });
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (looksBinary(bytes)) {
+      throw new Error('This looks like a binary file and cannot be edited as text');
+    }
+    return { ...decodeText(bytes), size, mtime };
+  };
+
+  const applyRemote = (remote) => {
+    setText(remote.text);
+    setBase({ text: remote.text, size: remote.size, mtime: remote.mtime });
+    setFormat({ encoding: remote.encoding, bom: remote.bom, lineEnding: remote.lineEnding });
+    setMixedLineEndings(remote.mixedLineEndings);
+  };
+
+  useEffect(() => {
+    if (!path) return;
+
+    setPhase('loading');
+    setText('');
+    setBase(null);
+    setConflict(null);
+    setNotice(null);
+    setError(null);
+    setCursor({ line: 1, column: 1 });
+    setLanguage(languageForName(basename(path)));
+
+    const loading = new AbortController();
+    controller.current = loading;
+    readRemote(loading.signal)
+      .then((remote) => {
+        applyRemote(remote);
+        setPhase('editing');
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to open file');
+        setPhase('failed');
+      });
+
+    return () => loading.abort();
+  }, [session, path]);
+
+  const save = async (expected) => {
+    let bytes;
+    try {
+      bytes = encodeText(text, format);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    const saving = new AbortController();
+    controller.current = saving;
+    setPhase('saving');
+    setError(null);
+    setNotice(null);
+
+    try {
+      const data = await session.uploadFile(path, new Blob([bytes]), {
+        expect: { size: expected.size, mtime: expected.mtime },
+        signal: saving.signal
+      });
+      setBase({ text, size: data.size, mtime: data.mtime });
+      setConflict(null);
+      setMixedLineEndings(false);
+      setPhase('editing');
+      onSaved();
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        setPhase('editing');
+        return;
+      }
+      if (err.code !== 'CHANGED') {
+        setError(err.message || 'Failed to save file');
+        setPhase('editing');
+        return;
+      }
+
+      // Someone else saved the file: fetch their version to compare
+      try {
+        const remote = await readRemote(saving.signal);
+        setConflict({ ...remote, runs: diffLines(remote.text, text) });
+        setPhase('conflict');
+      } catch (readError) {
+        if (readError.name === 'AbortError') {
+          setPhase('editing');
+          return;
+        }
+        setError(`The file was changed on the server and could not be read back: ${readError.message}`);
+        setPhase('editing');
+      }
+    }
+  };
+
+  const handleSave = () => {
+    if (phase === 'editing' && base) {
+      save(base);
+    }
+  };
+
+  // Apply both the user's and the server's changes to the common base;
+  // overlapping ones end up between conflict markers to sort out by hand
+  const handleMerge = () => {
+    const merged = mergeTexts(base.text, text, conflict.text, { mine: 'yours', theirs: 'server' });
+    setText(merged.text);
+    setBase({ text: conflict.text, size: conflict.size, mtime: conflict.mtime });
+    setConflict(null);
+    setPhase('editing');
+    setNotice(merged.conflicts > 0
+      ? `Merged; ${plural(merged.conflicts, 'conflicting section')} marked with <<<<<<< and >>>>>>> need resolving before saving`
+      : 'Merged with the changes made on the server; check the result and save');
+  };
+
+  const handleReload = () => {
+    if (conflict) {
+      applyRemote(conflict);
+      setConflict(null);
+      setPhase('editing');
+      setNotice('Reloaded the version on the server; your changes were discarded');
+      return;
+    }
+    if (dirty && !confirm('Discard your changes and reload the file from the server?')) return;
+
+    const loading = new AbortController();
+    controller.current = loading;
+    setPhase('loading');
+    setError(null);
+    setNotice(null);
+    readRemote(loading.signal)
+      .then((remote) => {
+        applyRemote(remote);
+        setPhase('editing');
+      })
+      .catch((err) => {
+        if (err.name === 'AbortError') return;
+        setError(err.message || 'Failed to reload file');
+        setPhase('failed');
+      });
+  };
+
+  const handleClose = () => {
+    if (dirty && !confirm('Close without saving your changes?')) return;
+    controller.current?.abort();
+    onClose();
+  };
+
+  const updateCursor = () => {
+    const area = textArea.current;
+    if (!area) return;
+    const before = area.value.slice(0, area.selectionStart);
+    const lineStart = before.lastIndexOf('\n');
+    setCursor({ line: (before.match(/\n/g) || []).length + 1, column: area.selectionStart - lineStart });
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+      e.preventDefault();
+      handleSave();
+      return;
+    }
+    if (e.key === 'Tab' && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+      // Indent like the rest of the file: tabs if lines start with one
+      e.preventDefault();
+      const indent = /^\t/m.test(text) ? '\t' : '  ';
+      // insertText keeps the browser's undo history intact
+      if (!document.execCommand('insertText', false, indent)) {
+        const area = e.currentTarget;
+        const { selectionStart, selectionEnd } = area;
+        setText(text.slice(0, selectionStart) + indent + text.slice(selectionEnd));
+        requestAnimationFrame(() => {
+          area.selectionStart = area.selectionEnd = selectionStart + indent.length;
+        });
+      }
+    }
+  };
+
+  // The coloured text sits behind the transparent textarea and scrolls
+  // with it
+  const syncScroll = () => {
+    if (highlight.current && textArea.current) {
+      highlight.current.scrollTop = textArea.current.scrollTop;
+      highlight.current.scrollLeft = textArea.current.scrollLeft;
+    }
+  };
+
+  const highlighted = language !== 'plain' && text.length <= HIGHLIGHT_LIMIT;
+  const tokens = useMemo(
+    () => (highlighted ? tokenize(text, language) : []),
+    [highlighted, text, language]
+  );
+
+  const editable = phase === 'editing';
+
+  return (
+    <AnimatePresence>
+      {path && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            className="bg-white rounded-lg w-full max-w-6xl h-full max-h-[90vh] flex flex-col overflow-hidden"
+          >
+            {/* Toolbar */}
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+              <div className="flex items-center space-x-2 min-w-0">
+                <SafeIcon icon={FiFileText} className="w-5 h-5 text-primary-600 flex-shrink-0" />
+                <h3 className="font-semibold text-gray-900 truncate" title={path}>
+                  {basename(path)}{dirty ? ' •' : ''}
+                </h3>
+                <span className="text-sm text-gray-500 font-mono truncate hidden md:inline">{path}</span>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <button
+                  onClick={handleReload}
+                  disabled={!['editing', 'failed'].includes(phase)}
+                  className="p-2 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100 transition-colors disabled:opacity-50"
+                  title="Reload from server"
+                >
+                  <SafeIcon icon={FiRefreshCw} className={`w-5 h-5 ${phase === 'loading' ? 'animate-spin' : ''}`} />
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={!editable}
+                  className="px-3 py-1.5 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+                  title="Save (Ctrl+S)"
+                >
+                  <SafeIcon icon={phase === 'saving' ? FiRefreshCw : FiSave} className={`w-4 h-4 ${phase === 'saving' ? 'animate-spin' : ''}`} />
+                  <span>{phase === 'saving' ? 'Saving' : 'Save'}</span>
+                </button>
+                <button
+                  onClick={handleClose}
+                  className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                  title="Close"
+                >
+                  <SafeIcon icon={FiX} className="w-5 h-5" />
+                </button>
+              </div>
+            </div>
+
+            {error && (
+              <div className="mx-4 mt-3 bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-md flex items-center space-x-2">
+                <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm">{error}</span>
+              </div>
+            )}
+
+            {notice && (
+              <div className="mx-4 mt-3 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-2 rounded-md flex items-center space-x-2">
+                <SafeIcon icon={FiAlertTriangle} className="w-4 h-4 flex-shrink-0" />
+                <span className="text-sm flex-1">{notice}</span>
+                <button onClick={() => setNotice(null)} className="text-amber-600 hover:text-amber-800">
+                  <SafeIcon icon={FiX} className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
+            {phase === 'conflict' && conflict ? (
+              <div className="flex-1 flex flex-col min-h-0 p-4">
+                <p className="text-sm text-gray-700 mb-1">
+                  The file was changed on the server since you opened it
+                  {conflict.size !== base.size ? ` (now ${formatBytes(conflict.size)})` : ''}. Saving now would
+                  replace those changes.
+                </p>
+                <p className="text-xs text-gray-500 mb-2">
+                  Lines marked <span className="text-red-700">-</span> are only in the server&apos;s version,
+                  lines marked <span className="text-green-700">+</span> only in yours.
+                </p>
+                <div className="flex-1 min-h-0 overflow-auto border border-gray-200 rounded-md font-mono text-xs">
+                  {diffRows(conflict.runs).map((row, index) => (
+                    <div key={index} className={`px-3 whitespace-pre ${DIFF_ROW_CLASSES[row.type]}`}>
+                      {DIFF_ROW_PREFIX[row.type]}{row.line || ' '}
+                    </div>
+                  ))}
+                </div>
+                <div className="flex justify-end flex-wrap gap-3 mt-4">
+                  <button
+                    onClick={() => setPhase('editing')}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Keep Editing
+                  </button>
+                  <button
+                    onClick={handleReload}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Reload Theirs
+                  </button>
+                  <button
+                    onClick={() => save(conflict)}
+                    className="px-4 py-2 text-red-700 border border-red-300 rounded-md hover:bg-red-50 transition-colors"
+                  >
+                    Overwrite
+                  </button>
+                  <button
+                    onClick={handleMerge}
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-2"
+                  >
+                    <SafeIcon icon={FiGitMerge} className="w-4 h-4" />
+                    <span>Merge</span>
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="relative flex-1 min-h-0 m-4 border border-gray-200 rounded-md overflow-hidden bg-gray-50">
+                {phase === 'loading' && (
+                  <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500 space-x-2">
+                    <SafeIcon icon={FiRefreshCw} className="w-4 h-4 animate-spin" />
+                    <span>Loading {basename(path)}</span>
+                  </div>
+                )}
+                {highlighted && (
+                  <pre
+                    ref={highlight}
+                    aria-hidden="true"
+                    className="absolute inset-0 m-0 p-3 overflow-hidden whitespace-pre font-mono text-sm leading-5 text-gray-900 pointer-events-none"
+                  >
+                    {tokens.map((token, index) => (token.type
+                      ? <span key={index} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+                      : token.text))}
+                    {'\n'}
+                  </pre>
+                )}
+                {phase !== 'loading' && phase !== 'failed' && (
+                  <textarea
+                    ref={textArea}
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    onScroll={syncScroll}
+                    onSelect={updateCursor}
+                    readOnly={!editable}
+                    spellCheck={false}
+                    wrap="off"
+                    autoFocus
+                    className={`absolute inset-0 w-full h-full p-3 resize-none bg-transparent whitespace-pre font-mono text-sm leading-5 outline-none caret-gray-900 ${
+                      highlighted ? 'text-transparent' : 'text-gray-900'
+                    }`}
+                  />
+                )}
+              </div>
+            )}
+
+            {/* Status bar */}
+            <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 border-t border-gray-200 text-xs text-gray-600">
+              <div className="flex items-center space-x-3">
+                <span>Ln {cursor.line}, Col {cursor.column}</span>
+                {base && <span>{formatBytes(base.size)} on server</span>}
+                {mixedLineEndings && (
+                  <span className="text-amber-700">Mixed line endings; saved as {LINE_ENDINGS.find(item => item.value === format.lineEnding).label}</span>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={language}
+                  onChange={(e) => setLanguage(e.target.value)}
+                  className="border border-gray-300 rounded px-1 py-0.5"
+                  title="Syntax highlighting"
+                >
+                  {LANGUAGE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={format.encoding}
+                  onChange={(e) => setFormat({ ...format, encoding: e.target.value })}
+                  className="border border-gray-300 rounded px-1 py-0.5"
+                  title="Encoding used when saving"
+                >
+                  {ENCODINGS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {format.encoding !== 'windows-1252' && (
+                  <label className="flex items-center space-x-1" title="Write a byte order mark at the start of the file">
+                    <input
+                      type="checkbox"
+                      checked={format.bom}
+                      onChange={(e) => setFormat({ ...format, bom: e.target.checked })}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>BOM</span>
+                  </label>
+                )}
+                <select
+                  value={format.lineEnding}
+                  onChange={(e) => setFormat({ ...format, lineEnding: e.target.value })}
+                  className="border border-gray-300 rounded px-1 py-0.5"
+                  title="Line endings used when saving"
+                >
+                  {LINE_ENDINGS.map(option => (
+                    <option key={option.label} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default TextEditor;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { useTransfers } from '../contexts/TransferContext';
+import TransferProgressRow from './TransferProgressRow';
+import { formatBytes } from '../lib/transferProgress';
+
+const { FiChevronDown, FiChevronUp, FiPause, FiPlay, FiX, FiTrash2, FiRepeat } = FiIcons;
+
+const TransferPanel = () => {
+  const {
+    transfers,
+    pauseTransfer,
+    resumeTransfer,
+    cancelTransfer,
+    retryTransfer,
+    removeTransfer,
+    pauseAll,
+    resumeAll,
+    cancelAll,
+    clearFinished
+  } = useTransfers();
+  const [expanded, setExpanded] = useState(true);
+
+  if (transfers.length === 0) {
+    return null;
+  }
+
+  const count = (status) => transfers.filter(item => item.status === status).length;
+  const active = transfers.filter(item => item.status === 'active');
+  const totalRate = active.reduce((sum, item) => sum + (item.progress?.rate || 0), 0);
+  const unfinished = transfers.filter(item => !['done', 'error', 'cancelled'].includes(item.status)).length;
+
+  const toolbarButton = 'p-1 text-gray-500 hover:text-gray-700 rounded hover:bg-gray-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="bg-white border-t border-gray-200">
+      <div className="flex items-center justify-between px-6 py-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center space-x-2 text-sm font-medium text-gray-900"
+        >
+          <SafeIcon icon={FiRepeat} className="w-4 h-4 text-primary-600" />
+          <span>Transfers</span>
+          <span className="text-gray-500 font-normal">
+            {active.length} active • {count('queued')} queued
+            {count('paused') > 0 && ` • ${count('paused')} paused`}
+            {count('error') > 0 && ` • ${count('error')} failed`}
+            {active.length > 0 && ` • ${formatBytes(totalRate)}/s`}
+          </span>
+          <SafeIcon icon={expanded ? FiChevronDown : FiChevronUp} className="w-4 h-4 text-gray-400" />
+        </button>
+
+        <div className="flex items-center space-x-1">
+          <button onClick={pauseAll} disabled={unfinished === 0} className={toolbarButton} title="Pause All">
+            <SafeIcon icon={FiPause} className="w-4 h-4" />
+          </button>
+          <button onClick={resumeAll} disabled={count('paused') === 0} className={toolbarButton} title="Resume All">
+            <SafeIcon icon={FiPlay} className="w-4 h-4" />
+          </button>
+          <button onClick={cancelAll} disabled={unfinished === 0} className={toolbarButton} title="Cancel All">
+            <SafeIcon icon={FiX} className="w-4 h-4" />
+          </button>
+          <button onClick={clearFinished} disabled={unfinished === transfers.length} className={toolbarButton} title="Clear Finished">
+            <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <AnimatePresence initial={false}>
+        {expanded && (
+          <motion.div
+            initial={{ height: 0 }}
+            animate={{ height: 'auto' }}
+            exit={{ height: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="max-h-64 overflow-y-auto px-6 pb-4 space-y-3">
+              {transfers.map((item) => (
+                <div key={item.id} title={`${item.serverName}: ${item.remotePath}`}>
+                  <TransferProgressRow
+                    name={item.name}
+                    direction={item.direction}
+                    progress={item.progress}
+                    status={item.status}
+                    error={item.error}
+                    retryAt={item.retryAt}
+                    onPause={() => pauseTransfer(item.id)}
+                    onResume={() => resumeTransfer(item.id)}
+                    onCancel={() => cancelTransfer(item.id)}
+                    onRetry={() => retryTransfer(item.id)}
+                    onDismiss={() => removeTransfer(item.id)}
+                  />
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default TransferPanel;
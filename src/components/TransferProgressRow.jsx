@@ -0,0 +1,137 @@
+import React from 'react';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+import { formatBytes, formatDuration } from '../lib/transferProgress';
+
+const {
+  FiX, FiCheck, FiAlertCircle, FiRotateCw, FiPause, FiPlay,
+  FiArrowUp, FiArrowDown, FiTrash2
+} = FiIcons;
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  paused: 'Paused',
+  cancelled: 'Cancelled'
+};
+
+const TransferProgressRow = ({
+  name,
+  direction,
+  progress,
+  status = 'active',
+  error,
+  retryAt,
+  onPause,
+  onResume,
+  onCancel,
+  onRetry,
+  onDismiss
+}) => {
+  const percent = progress?.total
+    ? Math.round((progress.bytes / progress.total) * 100)
+    : status === 'done' ? 100 : 0;
+  const isFinished = ['done', 'error', 'cancelled'].includes(status);
+
+  const barColor = {
+    error: 'bg-red-500',
+    done: 'bg-green-500',
+    paused: 'bg-yellow-400',
+    cancelled: 'bg-gray-400'
+  }[status] || 'bg-primary-600';
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-sm">
+        <div className="flex items-center space-x-2 min-w-0">
+          {direction && (
+            <SafeIcon
+              icon={direction === 'upload' ? FiArrowUp : FiArrowDown}
+              className={`w-4 h-4 flex-shrink-0 ${direction === 'upload' ? 'text-blue-500' : 'text-green-600'}`}
+            />
+          )}
+          <span className="font-medium text-gray-900 truncate">{name}</span>
+        </div>
+        <div className="flex items-center space-x-3 text-gray-500 flex-shrink-0">
+          {status === 'active' && progress && (
+            <span>
+              {formatBytes(progress.bytes)} / {formatBytes(progress.total)}
+              {' • '}{formatBytes(progress.rate)}/s
+              {' • '}{formatDuration(progress.eta)} left
+            </span>
+          )}
+          {STATUS_LABELS[status] && (
+            <span>
+              {STATUS_LABELS[status]}
+              {status === 'paused' && progress && ` at ${formatBytes(progress.bytes)}`}
+            </span>
+          )}
+          {status === 'retrying' && (
+            <span className="text-yellow-600" title={error}>
+              Retrying in {formatDuration(Math.max((retryAt - Date.now()) / 1000, 0))}
+            </span>
+          )}
+          {status === 'done' && <SafeIcon icon={FiCheck} className="w-4 h-4 text-green-600" />}
+          {status === 'error' && (
+            <span className="flex items-center space-x-1 text-red-600" title={error}>
+              <SafeIcon icon={FiAlertCircle} className="w-4 h-4" />
+              <span className="truncate max-w-xs">{error}</span>
+            </span>
+          )}
+          {onPause && ['queued', 'active', 'retrying'].includes(status) && (
+            <button
+              onClick={onPause}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+              title="Pause"
+            >
+              <SafeIcon icon={FiPause} className="w-4 h-4" />
+            </button>
+          )}
+          {onResume && status === 'paused' && (
+            <button
+              onClick={onResume}
+              className="text-gray-400 hover:text-primary-600 transition-colors"
+              title="Resume"
+            >
+              <SafeIcon icon={FiPlay} className="w-4 h-4" />
+            </button>
+          )}
+          {onRetry && status === 'error' && (
+            <button
+              onClick={onRetry}
+              className="text-gray-400 hover:text-primary-600 transition-colors"
+              title="Retry"
+            >
+              <SafeIcon icon={FiRotateCw} className="w-4 h-4" />
+            </button>
+          )}
+          {onCancel && !isFinished && (
+            <button
+              onClick={onCancel}
+              className="text-gray-400 hover:text-red-600 transition-colors"
+              title="Cancel"
+            >
+              <SafeIcon icon={FiX} className="w-4 h-4" />
+            </button>
+          )}
+          {onDismiss && isFinished && (
+            <button
+              onClick={onDismiss}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+              title="Remove"
+            >
+              <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className={`h-2 rounded-full transition-all ${barColor}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default TransferProgressRow;
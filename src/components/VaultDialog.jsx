@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useConnection } from '../contexts/ConnectionContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiLock, FiUnlock, FiAlertCircle } = FiIcons;
+
+const REASONS = {
+  migrate: 'Saved connections from an earlier version still keep their passwords in plaintext. Open the vault to encrypt them.',
+  save: 'The password and key of this connection are stored encrypted in the vault.',
+  connect: 'This connection keeps its password or key in the vault.',
+  unlock: 'Passwords and keys of saved connections are stored encrypted in the vault.'
+};
+
+const VaultDialog = () => {
+  const { vaultPrompt, submitVaultPassphrase, cancelVaultPrompt } = useConnection();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    setPassphrase('');
+    setConfirmation('');
+    setError(null);
+  }, [vaultPrompt]);
+
+  const isSetup = vaultPrompt?.mode === 'setup';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (isSetup && passphrase !== confirmation) {
+      setError('The passphrases do not match');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await submitVaultPassphrase(passphrase);
+    } catch (err) {
+      setError(err.message || 'Failed to open the vault');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {vaultPrompt && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            className="bg-white rounded-lg p-6 w-full max-w-md"
+          >
+            <div className="flex items-center space-x-2 mb-4">
+              <SafeIcon icon={isSetup ? FiLock : FiUnlock} className="w-5 h-5 text-primary-600" />
+              <h3 className="text-lg font-semibold text-gray-900">
+                {isSetup ? 'Create Credential Vault' : 'Unlock Credential Vault'}
+              </h3>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              {REASONS[vaultPrompt.reason]}
+              {isSetup && ' Choose a master passphrase to protect it. It cannot be recovered; if you forget it, the stored passwords have to be entered again.'}
+            </p>
+
+            <form onSubmit={handleSubmit}>
+              <div className="space-y-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Master Passphrase
+                  </label>
+                  <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    autoComplete={isSetup ? 'new-password' : 'current-password'}
+                    autoFocus
+                    required
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+                {isSetup && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Confirm Passphrase
+                    </label>
+                    <input
+                      type="password"
+                      value={confirmation}
+                      onChange={(e) => setConfirmation(e.target.value)}
+                      autoComplete="new-password"
+                      required
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                )}
+              </div>
+
+              {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+                  <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+                  <span className="text-sm">{error}</span>
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={cancelVaultPrompt}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  {vaultPrompt.reason === 'migrate' ? 'Later' : 'Cancel'}
+                </button>
+                <button
+                  type="submit"
+                  disabled={working}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
+                >
+                  <SafeIcon icon={FiUnlock} className="w-4 h-4" />
+                  <span>{isSetup ? 'Create Vault' : 'Unlock'}</span>
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default VaultDialog;
@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useConnection } from '../contexts/ConnectionContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiLock, FiUnlock, FiKey, FiTrash2, FiAlertCircle, FiCheck } = FiIcons;
+
+const AUTO_LOCK_OPTIONS = [
+  { value: 5, label: 'After 5 minutes' },
+  { value: 15, label: 'After 15 minutes' },
+  { value: 30, label: 'After 30 minutes' },
+  { value: 60, label: 'After 1 hour' },
+  { value: 0, label: 'Never' }
+];
+
+const EMPTY_CHANGE_FORM = { current: '', next: '', confirmation: '' };
+
+const VaultSettings = () => {
+  const {
+    vault,
+    unlockVault,
+    lockVault,
+    changeVaultPassphrase,
+    resetVault,
+    setVaultAutoLock
+  } = useConnection();
+  const [changeForm, setChangeForm] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const handleChangeInput = (e) => {
+    setChangeForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleChangePassphrase = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+
+    if (changeForm.next !== changeForm.confirmation) {
+      setError('The new passphrases do not match');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      await changeVaultPassphrase(changeForm.current, changeForm.next);
+      setChangeForm(null);
+      setMessage('Master passphrase changed');
+    } catch (err) {
+      setError(err.message || 'Failed to change the master passphrase');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleReset = () => {
+    if (!confirm('Delete the vault and every password and key stored in it? Saved connections stay, but will ask for their passwords again.')) {
+      return;
+    }
+    resetVault();
+    setChangeForm(null);
+    setError(null);
+    setMessage(null);
+  };
+
+  let status = 'Not set up yet. It is created when you first save a password or key.';
+  if (vault.setUp) {
+    status = vault.unlocked ? 'Unlocked' : 'Locked';
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className="bg-white rounded-lg border border-gray-200"
+    >
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <SafeIcon icon={vault.unlocked ? FiUnlock : FiLock} className="w-5 h-5 text-primary-600" />
+          <h3 className="text-lg font-semibold text-gray-900">Credential Vault</h3>
+        </div>
+        {vault.setUp && (
+          vault.unlocked ? (
+            <button
+              onClick={lockVault}
+              className="px-3 py-1 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors flex items-center space-x-1"
+            >
+              <SafeIcon icon={FiLock} className="w-4 h-4" />
+              <span>Lock Now</span>
+            </button>
+          ) : (
+            <button
+              onClick={unlockVault}
+              className="px-3 py-1 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-1"
+            >
+              <SafeIcon icon={FiUnlock} className="w-4 h-4" />
+              <span>Unlock</span>
+            </button>
+          )
+        )}
+      </div>
+      <div className="p-6 space-y-4">
+        <p className="text-sm text-gray-600">
+          Passwords, private keys and passphrases are encrypted with your master passphrase and never stored in plaintext.
+          <span className="font-medium text-gray-900"> {status}</span>
+        </p>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+            <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+        {message && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-md flex items-center space-x-2">
+            <SafeIcon icon={FiCheck} className="w-4 h-4 flex-shrink-0" />
+            <span className="text-sm">{message}</span>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Lock Automatically
+            </label>
+            <select
+              value={vault.autoLockMinutes}
+              onChange={(e) => setVaultAutoLock(Number(e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {AUTO_LOCK_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">How long the vault stays unlocked without any activity</p>
+          </div>
+        </div>
+
+        {vault.setUp && (
+          changeForm ? (
+            <form onSubmit={handleChangePassphrase} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {[
+                ['current', 'Current Passphrase', 'current-password'],
+                ['next', 'New Passphrase', 'new-password'],
+                ['confirmation', 'Confirm New Passphrase', 'new-password']
+              ].map(([name, label, autoComplete]) => (
+                <div key={name}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type="password"
+                    name={name}
+                    value={changeForm[name]}
+                    onChange={handleChangeInput}
+                    autoComplete={autoComplete}
+                    required
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+              ))}
+              <div className="md:col-span-3 flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setChangeForm(null)}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={working}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+                >
+                  {working ? 'Changing...' : 'Change Passphrase'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => {
+                  setChangeForm(EMPTY_CHANGE_FORM);
+                  setMessage(null);
+                }}
+                className="px-3 py-1 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors flex items-center space-x-1"
+              >
+                <SafeIcon icon={FiKey} className="w-4 h-4" />
+                <span>Change Passphrase</span>
+              </button>
+              <button
+                onClick={handleReset}
+                className="px-3 py-1 text-red-700 border border-red-200 rounded-md hover:bg-red-50 transition-colors flex items-center space-x-1"
+              >
+                <SafeIcon icon={FiTrash2} className="w-4 h-4" />
+                <span>Reset Vault</span>
+              </button>
+            </div>
+          )
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default VaultSettings;
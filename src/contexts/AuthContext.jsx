@@ -0,0 +1,81 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import sftpClient from '../lib/sftpClient';
+
+const AuthContext = createContext();
+
+// The bridge login lasts for this browser tab only
+const SESSION_STORAGE_KEY = 'sftp-bridge-login';
+
+const loadLogin = () => {
+  try {
+    const login = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    return login && login.expiresAt > Date.now() ? login : null;
+  } catch {
+    return null;
+  }
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  // { token, username, expiresAt } of the bridge login
+  const [login, setLogin] = useState(() => {
+    const saved = loadLogin();
+    sftpClient.setAuthToken(saved?.token || null);
+    return saved;
+  });
+  const [authError, setAuthError] = useState(null);
+
+  useEffect(() => {
+    // The bridge closes sockets whose login expired or was revoked
+    const onUnauthorized = ({ message }) => {
+      sessionStorage.removeItem(SESSION_STORAGE_KEY);
+      sftpClient.setAuthToken(null);
+      setLogin(null);
+      setAuthError(message === 'Logged out' ? null : 'Your bridge login has expired. Please log in again.');
+    };
+    sftpClient.on('unauthorized', onUnauthorized);
+
+    return () => {
+      sftpClient.off('unauthorized', onUnauthorized);
+    };
+  }, []);
+
+  // Credentials are { username, password } or { token }
+  const logIn = async (credentials) => {
+    const data = await sftpClient.login(credentials);
+    const newLogin = { token: data.token, username: data.username, expiresAt: data.expiresAt };
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newLogin));
+    setAuthError(null);
+    setLogin(newLogin);
+  };
+
+  const logOut = async () => {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    setLogin(null);
+    await sftpClient.logout();
+  };
+
+  const getAuthMethods = () => sftpClient.getAuthMethods();
+
+  const value = {
+    isAuthenticated: Boolean(login),
+    username: login?.username || null,
+    authError,
+    logIn,
+    logOut,
+    getAuthMethods
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -1,8 +1,20 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import sftpClient from '../lib/sftpClient';
+import credentialVault, { splitSecrets, mergeSecrets } from '../lib/credentialVault';
 
 const ConnectionContext = createContext();
 
+// Distinguishes successive authentication rounds in the dialog
+let nextPromptId = 1;
+
+// Connection ids are timestamps, kept unique when several connections are
+// saved within the same millisecond (e.g. by an import)
+let lastConnectionId = 0;
+const newConnectionId = () => {
+  lastConnectionId = Math.max(Date.now(), lastConnectionId + 1);
+  return lastConnectionId.toString();
+};
+
 export const useConnection = () => {
   const context = useContext(ConnectionContext);
   if (!context) {
@@ -13,113 +25,482 @@ export const useConnection = () => {
 
 export const ConnectionProvider = ({ children }) => {
   const [connections, setConnections] = useState([]);
-  const [activeConnection, setActiveConnection] = useState(null);
-  const [isConnected, setIsConnected] = useState(false);
+  // Open sessions: { id, name, connection, state }, where state holds
+  // per-session UI state such as the current directory
+  const [sessions, setSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState({
     connecting: false,
     error: null
   });
+  // Unknown host keys waiting for the user to trust or reject them
+  const [hostKeyPrompts, setHostKeyPrompts] = useState([]);
+  // Keyboard-interactive questions waiting for the user's answers
+  const [authPrompts, setAuthPrompts] = useState([]);
+  // Details of the last connect refused because a host key changed
+  const [hostKeyWarning, setHostKeyWarning] = useState(null);
+  const [vault, setVault] = useState({
+    setUp: credentialVault.isSetUp(),
+    unlocked: credentialVault.isUnlocked(),
+    autoLockMinutes: credentialVault.settings.autoLockMinutes
+  });
+  // Request for the master passphrase: { mode: 'setup'|'unlock', reason }
+  const [vaultPrompt, setVaultPrompt] = useState(null);
+  const vaultRequest = useRef(null);
+  // Secrets still saved in plaintext by earlier versions, by connection id,
+  // until the vault is opened to take them
+  const legacySecrets = useRef({});
 
   useEffect(() => {
     // Load saved connections from localStorage
     const savedConnections = localStorage.getItem('sftp-connections');
     if (savedConnections) {
-      setConnections(JSON.parse(savedConnections));
+      const loaded = JSON.parse(savedConnections).map((connection) => {
+        const { details, secrets } = splitSecrets(connection);
+        if (Object.keys(secrets).length === 0) {
+          return connection;
+        }
+        legacySecrets.current[connection.id] = secrets;
+        return { ...details, secretsStored: true, keyEncrypted: Boolean(secrets.passphrase) };
+      });
+      setConnections(loaded);
+
+      if (Object.keys(legacySecrets.current).length > 0) {
+        openVault('migrate');
+      }
     }
 
     // Set up event listeners for SFTP client
-    sftpClient.on('disconnect', () => {
-      setIsConnected(false);
-      setActiveConnection(null);
-    });
+    const onDisconnect = ({ sessionId }) => {
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    };
+    sftpClient.on('disconnect', onDisconnect);
+
+    const onVaultChange = () => {
+      setVault({
+        setUp: credentialVault.isSetUp(),
+        unlocked: credentialVault.isUnlocked(),
+        autoLockMinutes: credentialVault.settings.autoLockMinutes
+      });
+    };
+    credentialVault.on('change', onVaultChange);
+
+    // Any use of the app postpones the auto-lock
+    const onActivity = () => credentialVault.touch();
+    window.addEventListener('pointerdown', onActivity);
+    window.addEventListener('keydown', onActivity);
 
     return () => {
-      // Clean up on unmount
-      if (isConnected) {
-        sftpClient.disconnect().catch(console.error);
-      }
+      sftpClient.off('disconnect', onDisconnect);
+      credentialVault.off('change', onVaultChange);
+      window.removeEventListener('pointerdown', onActivity);
+      window.removeEventListener('keydown', onActivity);
     };
   }, []);
 
-  const saveConnection = (connection) => {
+  // Fall back to another open session when the active one goes away
+  useEffect(() => {
+    if (activeSessionId && !sessions.some(session => session.id === activeSessionId)) {
+      setActiveSessionId(sessions[0]?.id || null);
+    }
+  }, [sessions, activeSessionId]);
+
+  const activeSessionInfo = sessions.find(session => session.id === activeSessionId) || null;
+  const activeSession = activeSessionInfo ? sftpClient.getSession(activeSessionInfo.id) : null;
+  const activeConnection = activeSessionInfo?.connection || null;
+  const isConnected = Boolean(activeSession);
+
+  // Takes a function of the current list, so updates made while a connect
+  // or a dialog is pending are not lost. Secrets that have not been migrated
+  // yet stay in localStorage, so nothing is lost if the vault is never opened.
+  const storeConnections = (update) => {
+    setConnections(prev => {
+      const updatedConnections = update(prev);
+      localStorage.setItem('sftp-connections', JSON.stringify(updatedConnections.map(connection => (
+        legacySecrets.current[connection.id]
+          ? mergeSecrets(connection, legacySecrets.current[connection.id])
+          : connection
+      ))));
+      return updatedConnections;
+    });
+  };
+
+  // Ask for the master passphrase unless the vault is already open; resolves
+  // to whether it is open now. Concurrent callers share one dialog.
+  const openVault = (reason) => {
+    if (credentialVault.isUnlocked()) {
+      return Promise.resolve(true);
+    }
+    if (!vaultRequest.current) {
+      vaultRequest.current = new Promise((resolve) => {
+        setVaultPrompt({
+          mode: credentialVault.isSetUp() ? 'unlock' : 'setup',
+          reason,
+          resolve
+        });
+      });
+    }
+    return vaultRequest.current;
+  };
+
+  const finishVaultPrompt = (opened) => {
+    vaultPrompt?.resolve(opened);
+    vaultRequest.current = null;
+    setVaultPrompt(null);
+  };
+
+  // Move plaintext secrets of earlier versions into the freshly opened
+  // vault and drop them from localStorage
+  const migrateLegacySecrets = async () => {
+    const pending = Object.entries(legacySecrets.current);
+    if (pending.length === 0) return;
+
+    for (const [id, secrets] of pending) {
+      await credentialVault.setSecrets(id, { ...credentialVault.getSecrets(id), ...secrets });
+    }
+    legacySecrets.current = {};
+    storeConnections(prev => prev);
+  };
+
+  // Throws when the passphrase is wrong, leaving the dialog open
+  const submitVaultPassphrase = async (passphrase) => {
+    if (!vaultPrompt) return;
+
+    if (vaultPrompt.mode === 'setup') {
+      await credentialVault.setUp(passphrase);
+    } else {
+      await credentialVault.unlock(passphrase);
+    }
+    await migrateLegacySecrets();
+    finishVaultPrompt(true);
+  };
+
+  const cancelVaultPrompt = () => {
+    finishVaultPrompt(false);
+  };
+
+  const unlockVault = () => openVault('unlock');
+
+  const lockVault = () => {
+    credentialVault.lock();
+  };
+
+  const changeVaultPassphrase = (currentPassphrase, newPassphrase) => (
+    credentialVault.changePassphrase(currentPassphrase, newPassphrase)
+  );
+
+  // Forget every stored secret; connections then ask for their passwords
+  const resetVault = () => {
+    credentialVault.reset();
+    storeConnections(prev => prev.map(({ secretsStored, ...connection }) => connection));
+  };
+
+  const setVaultAutoLock = (minutes) => {
+    credentialVault.setSettings({ autoLockMinutes: minutes });
+    setVault(prev => ({ ...prev, autoLockMinutes: minutes }));
+  };
+
+  // Secrets go to the vault; only the remaining details are saved in
+  // localStorage
+  const saveConnection = async (connection) => {
+    const { details, secrets } = splitSecrets(connection);
     const newConnection = {
-      ...connection,
-      id: Date.now().toString(),
+      ...details,
+      id: newConnectionId(),
       createdAt: new Date().toISOString()
     };
-    
-    const updatedConnections = [...connections, newConnection];
-    setConnections(updatedConnections);
-    localStorage.setItem('sftp-connections', JSON.stringify(updatedConnections));
-    
+
+    if (Object.keys(secrets).length > 0) {
+      if (!(await openVault('save'))) {
+        throw new Error('Unlock the credential vault to store the password and key');
+      }
+      await credentialVault.setSecrets(newConnection.id, secrets);
+      newConnection.secretsStored = true;
+    }
+
+    storeConnections(prev => [...prev, newConnection]);
     return newConnection;
   };
 
+  // Replace a connection's details and secrets, keeping its id so jump host
+  // references and open sessions still point at it
+  const updateConnection = async (id, connection) => {
+    const { details, secrets } = splitSecrets(connection);
+    const hasSecrets = Object.keys(secrets).length > 0;
+    const existing = connections.find(conn => conn.id === id);
+    if (!existing) {
+      throw new Error('The connection no longer exists');
+    }
+
+    if (hasSecrets || existing.secretsStored) {
+      if (!(await openVault('save'))) {
+        throw new Error('Unlock the credential vault to update the stored password and key');
+      }
+      await credentialVault.setSecrets(id, secrets);
+    }
+    delete legacySecrets.current[id];
+
+    const updated = {
+      ...details,
+      id,
+      createdAt: existing.createdAt,
+      lastUsedAt: existing.lastUsedAt,
+      secretsStored: hasSecrets || undefined
+    };
+    storeConnections(prev => prev.map(conn => (conn.id === id ? updated : conn)));
+    return updated;
+  };
+
+  // Stored secrets of a connection, to fill in a form for editing or
+  // duplicating it; opens the vault if needed
+  const getConnectionSecrets = async (connection) => {
+    if (legacySecrets.current[connection.id]) {
+      return legacySecrets.current[connection.id];
+    }
+    if (!connection.secretsStored) {
+      return {};
+    }
+    if (!(await openVault('connect'))) {
+      throw new Error(`Unlock the credential vault to edit ${connection.name}`);
+    }
+    return credentialVault.getSecrets(connection.id);
+  };
+
   const deleteConnection = (id) => {
-    const updatedConnections = connections.filter(conn => conn.id !== id);
-    setConnections(updatedConnections);
-    localStorage.setItem('sftp-connections', JSON.stringify(updatedConnections));
-    
-    if (activeConnection?.id === id) {
-      disconnect();
+    storeConnections(prev => prev.filter(conn => conn.id !== id));
+    delete legacySecrets.current[id];
+    credentialVault.removeSecrets(id).catch((error) => {
+      console.error('Error removing stored secrets:', error);
+    });
+
+    getConnectionSessions(id).forEach(session => disconnect(session.id));
+  };
+
+  // Saved connections to go through before reaching a connection, first hop
+  // first. A jump host that has jump hosts of its own is reached through them.
+  const resolveJumpHosts = (connection, seen = [connection.id]) => (
+    (connection.jumpHosts || []).flatMap((id) => {
+      const jumpHost = connections.find(conn => conn.id === id);
+      if (!jumpHost) {
+        throw new Error(`A jump host of ${connection.name} no longer exists; edit the connection to pick another one`);
+      }
+      if (seen.includes(id)) {
+        throw new Error(`The jump hosts of ${connection.name} lead back to ${jumpHost.name}`);
+      }
+      return [...resolveJumpHosts(jumpHost, [...seen, id]), jumpHost];
+    })
+  );
+
+  // Ask for a secret the connection does not store, through the same dialog
+  // as keyboard-interactive prompts
+  const askSecret = (hop, connection, attempt, prompt) => new Promise((resolve) => {
+    setAuthPrompts(prev => [...prev, {
+      host: hop.host,
+      port: hop.port || 22,
+      username: hop.username,
+      name: 'Credentials Required',
+      instructions: `${hop.name} does not store this secret.`,
+      prompts: [{ prompt, echo: false }],
+      id: nextPromptId++,
+      connection,
+      attempt,
+      resolve
+    }]);
+  });
+
+  // Saved connection with its secrets, from the vault or asked for
+  const withSecrets = async (hop, connection, attempt) => {
+    let full = hop;
+    if (hop.secretsStored) {
+      if (!(await openVault('connect'))) {
+        throw new Error(`Unlock the credential vault to connect to ${hop.name}`);
+      }
+      full = mergeSecrets(hop, credentialVault.getSecrets(hop.id));
+    }
+
+    if (full.authMethod === 'key') {
+      if (!full.privateKey) {
+        throw new Error(full.identityFile
+          ? `Load the private key of ${hop.name} (${full.identityFile}) by editing the connection`
+          : `The private key of ${hop.name} is no longer stored; save the connection again`);
+      }
+      if (full.keyEncrypted && !full.passphrase) {
+        const answers = await askSecret(hop, connection, attempt, 'Key passphrase');
+        if (!answers) throw new Error('Login cancelled');
+        full = { ...full, passphrase: answers[0] };
+      }
+    } else if (!full.password) {
+      const answers = await askSecret(hop, connection, attempt, 'Password');
+      if (!answers) throw new Error('Login cancelled');
+      full = { ...full, password: answers[0] };
     }
+    return full;
   };
 
   const connectToServer = async (connection) => {
+    const attempt = {};
+
     try {
       setConnectionStatus({
         connecting: true,
         error: null
       });
 
-      // Ensure WebSocket connection is established
-      if (!sftpClient.ws || sftpClient.ws.readyState !== WebSocket.OPEN) {
-        await sftpClient.connectToWebsocket();
-      }
-      
-      // Connect to SFTP server
-      const result = await sftpClient.connect(connection);
-      
-      if (result.success) {
-        setActiveConnection(connection);
-        setIsConnected(true);
-        setConnectionStatus({
-          connecting: false,
-          error: null
-        });
-        return { success: true };
-      } else {
-        throw new Error(result.error || 'Connection failed');
+      // Secrets only go to the bridge; the session list keeps the saved
+      // details
+      const jumpHosts = [];
+      for (const jumpHost of resolveJumpHosts(connection)) {
+        jumpHosts.push(await withSecrets(jumpHost, connection, attempt));
       }
+      const target = await withSecrets(connection, connection, attempt);
+
+      // Connect to SFTP server; this opens a new session next to any
+      // sessions that are already open
+      const session = await sftpClient.connect({ ...target, jumpHosts }, {
+        onHostKey: (hostKey) => new Promise((resolve) => {
+          setHostKeyPrompts(prev => [...prev, { ...hostKey, attempt, resolve }]);
+        }),
+        onAuthPrompt: (challenge) => new Promise((resolve) => {
+          setAuthPrompts(prev => [...prev, {
+            ...challenge,
+            id: nextPromptId++,
+            connection,
+            attempt,
+            resolve
+          }]);
+        })
+      });
+
+      setSessions(prev => {
+        const sameName = prev.filter(entry => entry.connection.id === connection.id).length;
+        return [...prev, {
+          id: session.id,
+          name: sameName > 0 ? `${connection.name} (${sameName + 1})` : connection.name,
+          connection,
+          state: { currentPath: '/' }
+        }];
+      });
+      setActiveSessionId(session.id);
+      storeConnections(prev => prev.map(conn => (
+        conn.id === connection.id ? { ...conn, lastUsedAt: new Date().toISOString() } : conn
+      )));
+      setConnectionStatus({
+        connecting: false,
+        error: null
+      });
+      return { success: true, sessionId: session.id };
     } catch (error) {
       console.error('Connection error:', error);
+      if (error.code === 'HOST_KEY_CHANGED') {
+        setHostKeyWarning(error.details);
+      }
       setConnectionStatus({
         connecting: false,
         error: error.message
       });
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, code: error.code };
+    } finally {
+      // A prompt left over from a failed attempt has nothing to answer
+      setHostKeyPrompts(prev => prev.filter(prompt => prompt.attempt !== attempt));
+      setAuthPrompts(prev => prev.filter(prompt => prompt.attempt !== attempt));
     }
   };
 
-  const disconnect = async () => {
+  const answerHostKeyPrompt = (accept) => {
+    const [prompt] = hostKeyPrompts;
+    if (!prompt) return;
+
+    prompt.resolve(accept);
+    setHostKeyPrompts(prev => prev.filter(entry => entry !== prompt));
+  };
+
+  // Answers are listed in prompt order; null cancels the login
+  const answerAuthPrompt = (answers) => {
+    const [prompt] = authPrompts;
+    if (!prompt) return;
+
+    prompt.resolve(answers);
+    setAuthPrompts(prev => prev.filter(entry => entry !== prompt));
+  };
+
+  const dismissHostKeyWarning = () => {
+    setHostKeyWarning(null);
+  };
+
+  const validateKey = (privateKey, passphrase) => sftpClient.validateKey(privateKey, passphrase);
+
+  const getKnownHosts = () => sftpClient.listKnownHosts();
+
+  const revokeHostKey = (host, port) => sftpClient.removeKnownHost(host, port);
+
+  const disconnect = async (sessionId = activeSessionId) => {
+    if (!sessionId) return;
+
     try {
-      await sftpClient.disconnect();
-      setActiveConnection(null);
-      setIsConnected(false);
+      await sftpClient.disconnect(sessionId);
     } catch (error) {
       console.error('Disconnect error:', error);
+    } finally {
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    }
+  };
+
+  const switchSession = (sessionId) => {
+    if (sessions.some(session => session.id === sessionId)) {
+      setActiveSessionId(sessionId);
     }
   };
 
+  const updateSessionState = (sessionId, changes) => {
+    setSessions(prev => prev.map(session => session.id === sessionId
+      ? { ...session, state: { ...session.state, ...changes } }
+      : session));
+  };
+
+  const getConnectionSessions = (connectionId) => (
+    sessions.filter(session => session.connection.id === connectionId)
+  );
+
+  // SFTP session object of an open session, e.g. a copy target
+  const getSession = (sessionId) => sftpClient.getSession(sessionId);
+
   const value = {
     connections,
+    sessions,
+    activeSessionId,
+    activeSession,
+    activeSessionState: activeSessionInfo?.state || null,
     activeConnection,
     isConnected,
     connectionStatus,
     saveConnection,
+    updateConnection,
+    getConnectionSecrets,
     deleteConnection,
     connectToServer,
-    disconnect
+    disconnect,
+    switchSession,
+    updateSessionState,
+    getConnectionSessions,
+    getSession,
+    hostKeyPrompt: hostKeyPrompts[0] || null,
+    hostKeyWarning,
+    authPrompt: authPrompts[0] || null,
+    answerHostKeyPrompt,
+    answerAuthPrompt,
+    dismissHostKeyWarning,
+    validateKey,
+    getKnownHosts,
+    revokeHostKey,
+    vault,
+    vaultPrompt,
+    submitVaultPassphrase,
+    cancelVaultPrompt,
+    unlockVault,
+    lockVault,
+    changeVaultPassphrase,
+    resetVault,
+    setVaultAutoLock
   };
 
   return (
@@ -127,4 +508,4 @@ export const ConnectionProvider = ({ children }) => {
       {children}
     </ConnectionContext.Provider>
   );
-};
\ No newline at end of file
+};
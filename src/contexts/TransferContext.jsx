@@ -0,0 +1,120 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import transferQueue from '../lib/transferQueue';
+import { useConnection } from './ConnectionContext';
+import { joinPath, dirname, basename } from '../lib/remotePath';
+
+const TransferContext = createContext();
+
+export const useTransfers = () => {
+  const context = useContext(TransferContext);
+  if (!context) {
+    throw new Error('useTransfers must be used within a TransferProvider');
+  }
+  return context;
+};
+
+export const TransferProvider = ({ children }) => {
+  const { activeSession } = useConnection();
+  const [transfers, setTransfers] = useState(transferQueue.getItems());
+  const [settings, setSettings] = useState(transferQueue.settings);
+
+  useEffect(() => {
+    const onChange = (items) => {
+      setTransfers(items);
+      setSettings(transferQueue.settings);
+    };
+
+    transferQueue.on('change', onChange);
+    return () => {
+      transferQueue.off('change', onChange);
+    };
+  }, []);
+
+  // Transfers are queued on the session being browsed when they are added
+  const queueUpload = (file, remotePath, session = activeSession, name = file.name) => transferQueue.add({
+    direction: 'upload',
+    session,
+    name,
+    remotePath,
+    file
+  });
+
+  const queueDownload = (remotePath, writable, session = activeSession) => transferQueue.add({
+    direction: 'download',
+    session,
+    remotePath,
+    writable
+  });
+
+  // Recreate a local folder tree ({ files, directories } from localFiles)
+  // below remoteDir, then queue its files
+  const queueFolderUpload = async (tree, remoteDir, session = activeSession) => {
+    const directories = new Set(tree.directories.map(dir => joinPath(remoteDir, dir)));
+    tree.files.forEach(({ relativePath }) => {
+      const parent = dirname(joinPath(remoteDir, relativePath));
+      if (parent !== remoteDir) {
+        directories.add(parent);
+      }
+    });
+
+    if (directories.size > 0) {
+      await session.createDirectories([...directories]);
+    }
+    tree.files.forEach(({ file, relativePath }) => {
+      queueUpload(file, joinPath(remoteDir, relativePath), session, relativePath);
+    });
+  };
+
+  // Download a remote directory into a local folder (from openDownloadFolder),
+  // keeping the relative paths. Files are opened on disk as their turn comes.
+  const queueFolderDownload = async (remotePath, folder, session = activeSession) => {
+    const { entries, unreadable, skippedLinks } = await session.listTree(remotePath);
+    const rootName = basename(remotePath);
+    let files = 0;
+
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        await folder.createDirectory(entry.path);
+        continue;
+      }
+      transferQueue.add({
+        direction: 'download',
+        session,
+        name: `${rootName}/${entry.path}`,
+        remotePath: joinPath(remotePath, entry.path),
+        openWritable: () => folder.openWritable(entry.path)
+      });
+      files += 1;
+    }
+    return { files, unreadable, skippedLinks };
+  };
+
+  const value = {
+    transfers,
+    settings,
+    queueUpload,
+    queueDownload,
+    queueFolderUpload,
+    queueFolderDownload,
+    pauseTransfer: (id) => transferQueue.pause(id),
+    resumeTransfer: (id) => transferQueue.resume(id),
+    cancelTransfer: (id) => transferQueue.cancel(id),
+    retryTransfer: (id) => transferQueue.retry(id),
+    removeTransfer: (id) => transferQueue.remove(id),
+    pauseAll: () => transferQueue.pauseAll(),
+    resumeAll: () => transferQueue.resumeAll(),
+    cancelAll: () => transferQueue.cancelAll(),
+    clearFinished: () => transferQueue.clearFinished(),
+    updateSettings: (changes) => transferQueue.setSettings(changes),
+    onTransferComplete: (callback) => {
+      transferQueue.on('complete', callback);
+      return () => transferQueue.off('complete', callback);
+    }
+  };
+
+  return (
+    <TransferContext.Provider value={value}>
+      {children}
+    </TransferContext.Provider>
+  );
+};
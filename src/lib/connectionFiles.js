@@ -0,0 +1,558 @@
+/**
+ * Reading connections from other clients' configuration files, and writing
+ * our own connections to a portable JSON file
+ *
+ * Every parser returns entries shaped like a saved connection, except that
+ * jump hosts are referenced by name (jumpHostNames) because the connections
+ * they point at have no ids yet. Secrets, where the source has them, are
+ * plain fields (password) ready for saveConnection.
+ */
+
+export const EXPORT_FORMAT = 'sftp-client-connections';
+const EXPORT_VERSION = 1;
+
+const DEFAULT_PORT = 22;
+
+const makeEntry = (fields) => ({
+  name: '',
+  host: '',
+  port: DEFAULT_PORT,
+  username: '',
+  authMethod: 'password',
+  password: '',
+  folder: '',
+  tags: [],
+  jumpHostNames: [],
+  warnings: [],
+  ...fields
+});
+
+const toPort = (value) => {
+  const port = parseInt(value, 10);
+  return port > 0 && port < 65536 ? port : DEFAULT_PORT;
+};
+
+// OpenSSH config
+
+// ssh_config(5) patterns: * and ? wildcards, ! negates
+const matchesPattern = (pattern, host) => {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i').test(host);
+};
+
+const matchesHostLine = (patterns, host) => {
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) {
+      if (matchesPattern(pattern.slice(1), host)) return false;
+    } else if (matchesPattern(pattern, host)) {
+      matched = true;
+    }
+  }
+  return matched;
+};
+
+// Split "Key value", "Key=value" and quoted values
+const parseSshLine = (line) => {
+  const match = line.match(/^\s*(\S+?)\s*(?:=\s*|\s+)(.*)$/);
+  if (!match) return null;
+  const args = [...match[2].matchAll(/"([^"]*)"|(\S+)/g)].map(([, quoted, plain]) => quoted ?? plain);
+  return { key: match[1].toLowerCase(), args };
+};
+
+// "[user@]host[:port]" or "ssh://[user@]host[:port]"
+const parseJumpSpec = (spec) => {
+  const match = spec.replace(/^ssh:\/\//, '').match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+  if (!match) return null;
+  return { username: match[1] || '', host: match[2].replace(/^\[|\]$/g, ''), port: match[3] || '' };
+};
+
+/**
+ * Parse an OpenSSH client config (~/.ssh/config)
+ *
+ * Every Host alias without wildcards becomes a connection, with the options
+ * of all matching Host blocks applied the way ssh does: the first value
+ * found for an option wins. Jump hosts that are not aliases themselves
+ * become extra entries.
+ * @param {string} text - File content
+ * @returns {{ entries: Array, warnings: string[] }}
+ */
+export const parseSshConfig = (text) => {
+  const blocks = [{ patterns: ['*'], options: [] }];
+  const warnings = new Set();
+  let current = blocks[0];
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const parsed = parseSshLine(line);
+    if (!parsed) return;
+
+    if (parsed.key === 'host') {
+      current = { patterns: parsed.args, options: [] };
+      blocks.push(current);
+    } else if (parsed.key === 'match') {
+      // Match conditions depend on the local machine; skip the whole block
+      current = { patterns: [], options: [] };
+      warnings.add('Match blocks are not supported and were skipped');
+    } else if (parsed.key === 'include') {
+      warnings.add(`Included files are not read (${parsed.args.join(' ')}); import them separately`);
+    } else {
+      current.options.push(parsed);
+    }
+  });
+
+  const lookup = (alias) => {
+    const options = {};
+    blocks
+      .filter(block => matchesHostLine(block.patterns, alias))
+      .forEach(block => block.options.forEach(({ key, args }) => {
+        if (key === 'identityfile') {
+          options.identityfile = [...(options.identityfile || []), args[0]];
+        } else if (!(key in options)) {
+          options[key] = args;
+        }
+      }));
+    return options;
+  };
+
+  const aliases = [...new Set(blocks.flatMap(block => (
+    block.patterns.filter(pattern => !/[*?!]/.test(pattern))
+  )))];
+
+  const entries = [];
+  const entryNames = new Set();
+
+  const addEntry = (name, options, overrides = {}) => {
+    const entry = makeEntry({
+      name,
+      host: (options.hostname?.[0] || overrides.host || name).replace(/%h/g, overrides.host || name).replace(/%%/g, '%'),
+      port: toPort(overrides.port || options.port?.[0]),
+      username: overrides.username || options.user?.[0] || ''
+    });
+
+    const [identityFile, ...otherKeys] = options.identityfile || [];
+    if (identityFile) {
+      entry.authMethod = 'key';
+      entry.identityFile = identityFile;
+      entry.warnings.push(`Load the key ${identityFile} after importing`);
+      if (otherKeys.length > 0) {
+        entry.warnings.push(`Only the first of ${otherKeys.length + 1} identity files is used`);
+      }
+    }
+    if (!entry.username) {
+      entry.warnings.push('No user set');
+    }
+    if (options.proxycommand && !options.proxyjump) {
+      entry.warnings.push('ProxyCommand is not supported');
+    }
+
+    entries.push(entry);
+    entryNames.add(name);
+
+    const jumps = options.proxyjump?.[0];
+    if (jumps && jumps.toLowerCase() !== 'none') {
+      entry.jumpHostNames = jumps.split(',').map((spec) => {
+        const jump = parseJumpSpec(spec.trim());
+        if (!jump) {
+          entry.warnings.push(`Could not read jump host ${spec}`);
+          return null;
+        }
+        // A bare alias refers to its own Host block; anything else becomes
+        // a connection of its own
+        if (aliases.includes(jump.host) && !jump.username && !jump.port) {
+          return jump.host;
+        }
+        if (!entryNames.has(spec)) {
+          addEntry(spec, lookup(jump.host), jump);
+        }
+        return spec;
+      }).filter(Boolean);
+    }
+  };
+
+  aliases.forEach(alias => addEntry(alias, lookup(alias)));
+
+  return { entries, warnings: [...warnings] };
+};
+
+// FileZilla
+
+const FILEZILLA_SFTP = '1';
+const FILEZILLA_KEY_LOGON = '5';
+
+const decodeBase64 = (text) => (
+  new TextDecoder().decode(Uint8Array.from(atob(text), (char) => char.charCodeAt(0)))
+);
+
+/**
+ * Parse a FileZilla site manager export (sitemanager.xml)
+ *
+ * Only SFTP sites are imported; site manager folders become connection
+ * folders, nested ones joined with "/".
+ * @param {string} text - File content
+ * @returns {{ entries: Array, warnings: string[] }}
+ */
+export const parseFileZilla = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('The file is not valid XML');
+  }
+
+  const servers = doc.querySelector('Servers');
+  if (!servers) {
+    throw new Error('No site manager entries found');
+  }
+
+  const entries = [];
+  let skipped = 0;
+
+  const childText = (element, tag) => (
+    [...element.children].find(child => child.tagName === tag)?.textContent.trim() || ''
+  );
+
+  const walk = (element, folders) => {
+    [...element.children].forEach((child) => {
+      if (child.tagName === 'Folder') {
+        const name = [...child.childNodes]
+          .filter(node => node.nodeType === Node.TEXT_NODE)
+          .map(node => node.textContent)
+          .join('')
+          .trim();
+        walk(child, name ? [...folders, name] : folders);
+        return;
+      }
+      if (child.tagName !== 'Server') return;
+
+      if (childText(child, 'Protocol') !== FILEZILLA_SFTP) {
+        skipped += 1;
+        return;
+      }
+
+      const host = childText(child, 'Host');
+      const entry = makeEntry({
+        name: childText(child, 'Name') || host,
+        host,
+        port: toPort(childText(child, 'Port')),
+        username: childText(child, 'User'),
+        folder: folders.join('/')
+      });
+
+      const keyFile = childText(child, 'Keyfile');
+      if (childText(child, 'Logontype') === FILEZILLA_KEY_LOGON && keyFile) {
+        entry.authMethod = 'key';
+        entry.identityFile = keyFile;
+        entry.warnings.push(`Load the key ${keyFile} after importing`);
+      }
+
+      const pass = [...child.children].find(item => item.tagName === 'Pass');
+      if (pass && entry.authMethod === 'password') {
+        if (pass.getAttribute('encoding') === 'base64') {
+          try {
+            entry.password = decodeBase64(pass.textContent.trim());
+          } catch {
+            entry.warnings.push('The stored password could not be decoded');
+          }
+        } else if (pass.getAttribute('encoding') === 'crypt') {
+          entry.warnings.push('The password is protected by a FileZilla master password and was not imported');
+        } else {
+          entry.password = pass.textContent;
+        }
+      }
+
+      entries.push(entry);
+    });
+  };
+
+  walk(servers, []);
+
+  const warnings = skipped > 0 ? [`${skipped} site${skipped === 1 ? '' : 's'} using FTP or other protocols were skipped`] : [];
+  return { entries, warnings };
+};
+
+// WinSCP
+
+// FSProtocol values: 0 SCP, 1 SFTP with SCP fallback, 2 SFTP; the rest
+// (FTP, WebDAV, S3) cannot be reached over SSH
+const WINSCP_SSH_PROTOCOLS = ['0', '1', '2'];
+
+const WINSCP_MAGIC = 0xA3;
+const WINSCP_FLAG = 0xFF;
+
+// WinSCP stores session passwords obfuscated (not encrypted) unless a
+// master password is set
+const decodeWinScpPassword = (encoded, username, host) => {
+  let rest = encoded;
+  const next = () => {
+    const value = ~(parseInt(rest.slice(0, 2), 16) ^ WINSCP_MAGIC) & 0xFF;
+    rest = rest.slice(2);
+    return value;
+  };
+
+  const flag = next();
+  let length = flag;
+  if (flag === WINSCP_FLAG) {
+    next();
+    length = next();
+  }
+  const padding = next();
+  rest = rest.slice(padding * 2);
+
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = next();
+  }
+  let result = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+
+  // The password is salted with user and host name
+  const key = username + host;
+  if (flag === WINSCP_FLAG && result.startsWith(key)) {
+    result = result.slice(key.length);
+  }
+  return result;
+};
+
+// Session names and paths use %XX escapes for special characters
+const decodeWinScp = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Parse a WinSCP configuration export (WinSCP.ini)
+ *
+ * Sessions over SCP or SFTP are imported; "folder/name" session names keep
+ * their folder and a configured SSH tunnel becomes a jump host.
+ * @param {string} text - File content
+ * @returns {{ entries: Array, warnings: string[] }}
+ */
+export const parseWinScp = (text) => {
+  const sections = {};
+  let current = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';')) return;
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      current = {};
+      sections[header[1]] = current;
+      return;
+    }
+
+    const separator = line.indexOf('=');
+    if (current && separator > 0) {
+      current[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  });
+
+  const masterPassword = sections['Configuration\\Security']?.UseMasterPassword === '1';
+  const warnings = [];
+  if (masterPassword) {
+    warnings.push('Passwords are protected by a WinSCP master password and were not imported');
+  }
+
+  const entries = [];
+  let skipped = 0;
+
+  Object.entries(sections).forEach(([section, values]) => {
+    if (!section.startsWith('Sessions\\')) return;
+
+    const path = decodeWinScp(section.slice('Sessions\\'.length));
+    if (path === 'Default Settings') return;
+
+    if (values.FSProtocol !== undefined && !WINSCP_SSH_PROTOCOLS.includes(values.FSProtocol)) {
+      skipped += 1;
+      return;
+    }
+
+    const parts = path.split('/');
+    const name = parts.pop();
+    const host = values.HostName || '';
+    const username = decodeWinScp(values.UserName || '');
+    const entry = makeEntry({
+      name,
+      host,
+      port: toPort(values.PortNumber),
+      username,
+      folder: parts.join('/')
+    });
+
+    if (values.PublicKeyFile) {
+      entry.authMethod = 'key';
+      entry.identityFile = decodeWinScp(values.PublicKeyFile);
+      entry.warnings.push(`Load the key ${entry.identityFile} after importing`);
+      if (/\.ppk$/i.test(entry.identityFile)) {
+        entry.warnings.push('PuTTY keys (.ppk) have to be converted to OpenSSH format first');
+      }
+    } else if (values.Password && !masterPassword) {
+      try {
+        entry.password = decodeWinScpPassword(values.Password, username, host);
+      } catch {
+        entry.warnings.push('The stored password could not be decoded');
+      }
+    }
+
+    if (values.Tunnel === '1' && values.TunnelHostName) {
+      const jump = makeEntry({
+        name: `${name} tunnel`,
+        host: values.TunnelHostName,
+        port: toPort(values.TunnelPortNumber),
+        username: decodeWinScp(values.TunnelUserName || ''),
+        folder: entry.folder
+      });
+      if (values.TunnelPassword && !masterPassword) {
+        try {
+          jump.password = decodeWinScpPassword(values.TunnelPassword, jump.username, jump.host);
+        } catch {
+          jump.warnings.push('The stored password could not be decoded');
+        }
+      }
+      entries.push(jump);
+      entry.jumpHostNames = [jump.name];
+    }
+
+    entries.push(entry);
+  });
+
+  if (skipped > 0) {
+    warnings.push(`${skipped} session${skipped === 1 ? '' : 's'} using FTP, WebDAV or S3 were skipped`);
+  }
+  return { entries, warnings };
+};
+
+// Portable JSON
+
+/**
+ * Read a file written by exportConnections
+ * @param {Object} data - Parsed JSON
+ * @returns {{ entries: Array, warnings: string[] }}
+ */
+export const parseExport = (data) => {
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.connections)) {
+    throw new Error('The file is not a connection export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The export was made by a newer version of this app');
+  }
+
+  const entries = data.connections.map(({ jumpHosts, ...connection }) => makeEntry({
+    ...connection,
+    port: toPort(connection.port),
+    tags: Array.isArray(connection.tags) ? connection.tags : [],
+    jumpHostNames: Array.isArray(jumpHosts) ? jumpHosts : [],
+    warnings: connection.authMethod === 'key' && !connection.privateKey
+      ? ['Exported without its private key; load it after importing']
+      : []
+  }));
+  return { entries, warnings: [] };
+};
+
+/**
+ * Parse any supported file, telling the format from its content
+ * @param {string} text - File content
+ * @returns {{ format: string, entries: Array, warnings: string[] }}
+ */
+export const parseConnectionFile = (text) => {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+    return { format: 'Connection export', ...parseExport(data) };
+  }
+  if (trimmed.startsWith('<')) {
+    return { format: 'FileZilla', ...parseFileZilla(trimmed) };
+  }
+  if (/^\[Sessions\\/m.test(trimmed)) {
+    return { format: 'WinSCP', ...parseWinScp(trimmed) };
+  }
+  return { format: 'OpenSSH config', ...parseSshConfig(trimmed) };
+};
+
+/**
+ * Existing connection an imported entry would clash with
+ * @param {Object} entry - Parsed entry
+ * @param {Array} connections - Saved connections
+ * @returns {{ connection: Object, reason: string }|null}
+ */
+export const findConflict = (entry, connections) => {
+  const sameName = connections.find(conn => conn.name.toLowerCase() === entry.name.toLowerCase());
+  if (sameName) {
+    return { connection: sameName, reason: 'A connection with this name exists' };
+  }
+
+  const sameServer = connections.find(conn => (
+    conn.host.toLowerCase() === entry.host.toLowerCase()
+      && Number(conn.port || DEFAULT_PORT) === entry.port
+      && conn.username === entry.username
+  ));
+  if (sameServer) {
+    return { connection: sameServer, reason: `Same server and user as ${sameServer.name}` };
+  }
+  return null;
+};
+
+/**
+ * Order entries so jump hosts come before the connections using them
+ * @param {Array} entries - Parsed entries
+ * @returns {Array}
+ */
+export const orderForImport = (entries) => {
+  const byName = new Map(entries.map(entry => [entry.name, entry]));
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (entry) => {
+    if (visited.has(entry)) return;
+    visited.add(entry);
+    entry.jumpHostNames.forEach((name) => {
+      if (byName.has(name)) visit(byName.get(name));
+    });
+    ordered.push(entry);
+  };
+  entries.forEach(visit);
+  return ordered;
+};
+
+/**
+ * Build the portable export of saved connections
+ * @param {Array} connections - Saved connections
+ * @param {Object|null} secretsById - Secrets per connection id, or null to
+ *   leave them out
+ * @returns {Object} - Ready for JSON.stringify
+ */
+export const exportConnections = (connections, secretsById = null) => {
+  const names = new Map(connections.map(conn => [conn.id, conn.name]));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    connections: connections.map((connection) => {
+      const { id, createdAt, lastUsedAt, secretsStored, jumpHosts, ...details } = connection;
+      const secrets = secretsById?.[id] || {};
+      const exported = {
+        ...details,
+        jumpHosts: (jumpHosts || []).map(jumpId => names.get(jumpId)).filter(Boolean)
+      };
+
+      if (secrets.password) exported.password = secrets.password;
+      if (secrets.privateKey) exported.privateKey = secrets.privateKey;
+      if (secrets.passphrase) exported.passphrase = secrets.passphrase;
+      if (secrets.proxyPassword && exported.proxy) {
+        exported.proxy = { ...exported.proxy, password: secrets.proxyPassword };
+      }
+      return exported;
+    })
+  };
+};
@@ -0,0 +1,97 @@
+/**
+ * Searching, sorting and grouping of saved connections
+ */
+
+export const SORT_OPTIONS = [
+  { value: 'lastUsed', label: 'Recently used' },
+  { value: 'name', label: 'Name' },
+  { value: 'host', label: 'Host' },
+  { value: 'created', label: 'Newest first' }
+];
+
+const timestamp = (value) => (value ? new Date(value).getTime() : 0);
+
+const COMPARATORS = {
+  // Never-used connections go last, newest first among themselves
+  lastUsed: (a, b) => timestamp(b.lastUsedAt) - timestamp(a.lastUsedAt)
+    || timestamp(b.createdAt) - timestamp(a.createdAt),
+  name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }),
+  host: (a, b) => `${a.host}:${a.port}`.localeCompare(`${b.host}:${b.port}`),
+  created: (a, b) => timestamp(b.createdAt) - timestamp(a.createdAt)
+};
+
+/**
+ * Tags used by any of the connections
+ * @param {Array} connections - Saved connections
+ * @returns {string[]} - Sorted, without duplicates
+ */
+export const getAllTags = (connections) => (
+  [...new Set(connections.flatMap((connection) => connection.tags || []))].sort()
+);
+
+/**
+ * Folders used by any of the connections
+ * @param {Array} connections - Saved connections
+ * @returns {string[]} - Sorted, without duplicates
+ */
+export const getAllFolders = (connections) => (
+  [...new Set(connections.map((connection) => connection.folder).filter(Boolean))].sort()
+);
+
+/**
+ * Filter and sort connections for display
+ * @param {Array} connections - Saved connections
+ * @param {Object} options - { query, tag, sortBy }
+ * @returns {Array}
+ */
+export const filterConnections = (connections, { query = '', tag = '', sortBy = 'name' } = {}) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return connections
+    .filter((connection) => !tag || (connection.tags || []).includes(tag))
+    .filter((connection) => {
+      const text = [
+        connection.name,
+        connection.host,
+        connection.username,
+        connection.folder,
+        ...(connection.tags || [])
+      ].join(' ').toLowerCase();
+      return terms.every((term) => text.includes(term));
+    })
+    .sort(COMPARATORS[sortBy] || COMPARATORS.name);
+};
+
+/**
+ * Group connections by folder, keeping their order within each group
+ * @param {Array} connections - Connections, already sorted
+ * @returns {Array<{ folder: string, connections: Array }>} - Folders sorted by
+ *   name; connections without a folder come last under ''
+ */
+export const groupByFolder = (connections) => {
+  const groups = new Map();
+  connections.forEach((connection) => {
+    const folder = connection.folder || '';
+    if (!groups.has(folder)) {
+      groups.set(folder, []);
+    }
+    groups.get(folder).push(connection);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => {
+      if (!a) return 1;
+      if (!b) return -1;
+      return a.localeCompare(b);
+    })
+    .map(([folder, items]) => ({ folder, connections: items }));
+};
+
+/**
+ * Parse a comma-separated list of tags as typed in a form
+ * @param {string} text - e.g. "prod, eu-west"
+ * @returns {string[]}
+ */
+export const parseTags = (text) => (
+  [...new Set(text.split(',').map((tag) => tag.trim()).filter(Boolean))]
+);
@@ -0,0 +1,382 @@
+/**
+ * Encrypted store for the secrets of saved connections
+ *
+ * Passwords, private keys and passphrases are kept apart from the connection
+ * details, encrypted with AES-GCM under a key derived from a master
+ * passphrase (PBKDF2-SHA-256). The derived key and the decrypted secrets
+ * only ever live in memory: the vault has to be unlocked once per page load
+ * and locks itself again after a period of inactivity.
+ */
+
+const VAULT_STORAGE_KEY = 'sftp-vault';
+const SETTINGS_STORAGE_KEY = 'sftp-vault-settings';
+
+const PBKDF2_ITERATIONS = 310000;
+
+const DEFAULT_SETTINGS = {
+  // Minutes without user activity before the vault locks; 0 never locks
+  autoLockMinutes: 15
+};
+
+/**
+ * Split a connection into the details that can be stored as they are and
+ * the secrets that belong in the vault
+ * @param {Object} connection - Connection including its secrets
+ * @returns {{ details: Object, secrets: Object }} - Secrets holds only the
+ *   fields that are set
+ */
+export const splitSecrets = (connection) => {
+  const { password, privateKey, passphrase, ...details } = connection;
+  const secrets = { password, privateKey, passphrase };
+
+  if (details.proxy?.password) {
+    secrets.proxyPassword = details.proxy.password;
+    details.proxy = { ...details.proxy, password: '' };
+  }
+
+  Object.keys(secrets).forEach((field) => {
+    if (!secrets[field]) delete secrets[field];
+  });
+  return { details, secrets };
+};
+
+/**
+ * Put secrets back into a connection, undoing splitSecrets
+ * @param {Object} details - Connection details
+ * @param {Object} secrets - Secrets from the vault
+ * @returns {Object}
+ */
+export const mergeSecrets = (details, secrets = {}) => {
+  const { proxyPassword, ...rest } = secrets;
+  const connection = { ...details, ...rest };
+  if (proxyPassword && connection.proxy) {
+    connection.proxy = { ...connection.proxy, password: proxyPassword };
+  }
+  return connection;
+};
+
+// Spreading a large array into fromCharCode overflows the call stack, so
+// the string is built a slice at a time
+const BASE64_SLICE = 0x8000;
+
+const toBase64 = (bytes) => {
+  const array = new Uint8Array(bytes);
+  let binary = '';
+  for (let offset = 0; offset < array.length; offset += BASE64_SLICE) {
+    binary += String.fromCharCode(...array.subarray(offset, offset + BASE64_SLICE));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+class CredentialVault {
+  constructor() {
+    this.key = null;
+    this.salt = null;
+    this.iterations = null;
+    this.secrets = null;
+    this.lockTimer = null;
+    this.settings = { ...DEFAULT_SETTINGS, ...this._loadSettings() };
+    this.eventListeners = {};
+  }
+
+  /**
+   * Whether a master passphrase has been chosen
+   * @returns {boolean}
+   */
+  isSetUp() {
+    return Boolean(localStorage.getItem(VAULT_STORAGE_KEY));
+  }
+
+  /**
+   * Whether the secrets can currently be read
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Create the vault, holding the given secrets, and leave it unlocked
+   * @param {string} passphrase - New master passphrase
+   * @param {Object} [secrets] - Secrets per connection id to start with
+   */
+  async setUp(passphrase, secrets = {}) {
+    if (this.isSetUp()) {
+      throw new Error('The vault has already been set up');
+    }
+
+    await this._create(passphrase, secrets);
+  }
+
+  /**
+   * Decrypt the vault with the master passphrase
+   * @param {string} passphrase - Master passphrase
+   */
+  async unlock(passphrase) {
+    const stored = this._loadVault();
+    if (!stored) {
+      throw new Error('The vault has not been set up');
+    }
+
+    const key = await this._deriveKey(passphrase, fromBase64(stored.salt), stored.iterations);
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+        key,
+        fromBase64(stored.data)
+      );
+    } catch {
+      // AES-GCM cannot tell a wrong key from tampered data
+      throw new Error('Wrong master passphrase');
+    }
+
+    this.key = key;
+    this.salt = stored.salt;
+    this.iterations = stored.iterations;
+    this.secrets = JSON.parse(new TextDecoder().decode(plaintext));
+    this._restartLockTimer();
+    this._emitEvent('change', { unlocked: true });
+  }
+
+  /**
+   * Forget the key and the decrypted secrets
+   */
+  lock() {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+    if (!this.key) return;
+
+    this.key = null;
+    this.secrets = null;
+    this._emitEvent('change', { unlocked: false });
+  }
+
+  /**
+   * Re-encrypt the vault under a new master passphrase
+   * @param {string} currentPassphrase - Passphrase in use now
+   * @param {string} newPassphrase - Passphrase to switch to
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    await this.unlock(currentPassphrase);
+    await this._create(newPassphrase, this.secrets);
+  }
+
+  /**
+   * Delete the vault and every secret in it, e.g. after the passphrase
+   * has been forgotten
+   */
+  reset() {
+    this.lock();
+    localStorage.removeItem(VAULT_STORAGE_KEY);
+    this._emitEvent('change', { unlocked: false });
+  }
+
+  /**
+   * Secrets stored for a connection
+   * @param {string} id - Connection id
+   * @returns {Object} - Empty when nothing is stored
+   */
+  getSecrets(id) {
+    this._requireUnlocked();
+    return { ...this.secrets[id] };
+  }
+
+  /**
+   * Store the secrets of a connection, replacing what was stored before
+   * @param {string} id - Connection id
+   * @param {Object} secrets - Secrets; empty removes the entry
+   */
+  async setSecrets(id, secrets) {
+    this._requireUnlocked();
+
+    const updated = { ...this.secrets };
+    if (Object.keys(secrets).length > 0) {
+      updated[id] = secrets;
+    } else {
+      delete updated[id];
+    }
+    await this._save(updated);
+  }
+
+  /**
+   * Drop the secrets of a connection
+   * @param {string} id - Connection id
+   */
+  async removeSecrets(id) {
+    if (!this.isUnlocked() || !this.secrets[id]) return;
+    await this.setSecrets(id, {});
+  }
+
+  /**
+   * Note user activity, postponing the auto-lock
+   */
+  touch() {
+    if (this.key) {
+      this._restartLockTimer();
+    }
+  }
+
+  /**
+   * Change vault settings and remember them
+   * @param {Object} settings - Any of { autoLockMinutes }
+   */
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    this.touch();
+  }
+
+  /**
+   * Add event listener ('change')
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(
+        (cb) => cb !== callback
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _create(passphrase, secrets) {
+    if (!passphrase) {
+      throw new Error('Choose a master passphrase');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    this.key = await this._deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    this.salt = toBase64(salt);
+    this.iterations = PBKDF2_ITERATIONS;
+    await this._save(secrets);
+    this._restartLockTimer();
+    this._emitEvent('change', { unlocked: true });
+  }
+
+  /**
+   * Encrypt and persist all secrets; a fresh IV is used for every write
+   * @private
+   */
+  async _save(secrets) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.key,
+      new TextEncoder().encode(JSON.stringify(secrets))
+    );
+
+    localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+      version: 1,
+      salt: this.salt,
+      iterations: this.iterations,
+      iv: toBase64(iv),
+      data: toBase64(data)
+    }));
+    this.secrets = secrets;
+  }
+
+  /**
+   * @private
+   */
+  async _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * @private
+   */
+  _restartLockTimer() {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+
+    const minutes = Number(this.settings.autoLockMinutes);
+    if (minutes > 0) {
+      this.lockTimer = setTimeout(() => this.lock(), minutes * 60 * 1000);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _requireUnlocked() {
+    if (!this.key) {
+      throw new Error('The credential vault is locked');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _loadVault() {
+    try {
+      return JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @private
+   */
+  _emitEvent(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach((callback) => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} event handler:`, error);
+        }
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const credentialVault = new CredentialVault();
+export default credentialVault;
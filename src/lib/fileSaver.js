@@ -0,0 +1,38 @@
+/**
+ * Helpers for saving downloaded files in the browser
+ */
+
+/**
+ * Ask the user where to save a file so it can be streamed straight to disk
+ * @param {string} fileName - Suggested file name
+ * @returns {Promise<FileSystemWritableFileStream|null>} - Writable stream, or
+ *   null when the browser has no File System Access API
+ */
+export const openSaveTarget = async (fileName) => {
+  if (typeof window.showSaveFilePicker !== 'function') {
+    return null;
+  }
+
+  const handle = await window.showSaveFilePicker({ suggestedName: fileName });
+  return handle.createWritable();
+};
+
+/**
+ * Save an in-memory blob through a temporary download link
+ * @param {Blob} blob - File content
+ * @param {string} fileName - File name
+ */
+export const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+
+  // Clean up
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 0);
+};
@@ -0,0 +1,106 @@
+/**
+ * Helpers for reading local folder trees and writing downloaded ones
+ *
+ * A local tree is described as { files, directories }: files holds
+ * { file, relativePath } for every file and directories the relative paths
+ * of all folders, so empty ones can be recreated too.
+ */
+
+/**
+ * Tree of files picked with an <input type="file" webkitdirectory>
+ * @param {FileList|File[]} fileList - Selected files
+ * @returns {{ files: Array, directories: string[] }}
+ */
+export const treeFromFileList = (fileList) => {
+  const files = Array.from(fileList).map((file) => ({
+    file,
+    relativePath: file.webkitRelativePath || file.name
+  }));
+  return { files, directories: [] };
+};
+
+// FileSystemDirectoryReader hands out entries in batches until it returns
+// an empty one
+const readAllEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+};
+
+/**
+ * Tree of files and folders dropped onto the page. Must be called from the
+ * drop handler itself, as the dropped items are only readable during it.
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<{ files: Array, directories: string[] }>}
+ */
+export const treeFromDrop = (dataTransfer) => {
+  const roots = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  // Browsers without the entries API only give plain files
+  if (roots.length === 0) {
+    return Promise.resolve(treeFromFileList(dataTransfer.files));
+  }
+
+  const tree = { files: [], directories: [] };
+  const visit = async (entry, prefix) => {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      tree.files.push({ file, relativePath });
+      return;
+    }
+
+    tree.directories.push(relativePath);
+    for (const child of await readAllEntries(entry)) {
+      await visit(child, relativePath);
+    }
+  };
+
+  return Promise.all(roots.map((entry) => visit(entry, ''))).then(() => tree);
+};
+
+/**
+ * Whether the browser can write whole folders to disk
+ * @returns {boolean}
+ */
+export const canSaveFolders = () => typeof window.showDirectoryPicker === 'function';
+
+/**
+ * Ask the user for a local folder and create a subfolder in it to download
+ * into
+ * @param {string} name - Name of the folder to create
+ * @returns {Promise<Object>} - { openWritable(relativePath),
+ *   createDirectory(relativePath) } for files and folders below it
+ */
+export const openDownloadFolder = async (name) => {
+  const parent = await window.showDirectoryPicker({ mode: 'readwrite' });
+  const root = await parent.getDirectoryHandle(name, { create: true });
+  const handles = new Map([['', root]]);
+
+  const createDirectory = async (relativePath) => {
+    if (handles.has(relativePath)) {
+      return handles.get(relativePath);
+    }
+    const separator = relativePath.lastIndexOf('/');
+    const parentHandle = await createDirectory(separator > 0 ? relativePath.slice(0, separator) : '');
+    const handle = await parentHandle.getDirectoryHandle(relativePath.slice(separator + 1), { create: true });
+    handles.set(relativePath, handle);
+    return handle;
+  };
+
+  const openWritable = async (relativePath) => {
+    const separator = relativePath.lastIndexOf('/');
+    const dir = await createDirectory(separator > 0 ? relativePath.slice(0, separator) : '');
+    const handle = await dir.getFileHandle(relativePath.slice(separator + 1), { create: true });
+    return handle.createWritable();
+  };
+
+  return { createDirectory, openWritable };
+};
@@ -0,0 +1,65 @@
+/**
+ * Helpers for POSIX file modes as sent by the bridge in `permissions`
+ */
+
+const TYPE_LETTERS = {
+  0o040000: 'd',
+  0o120000: 'l',
+  0o020000: 'c',
+  0o060000: 'b',
+  0o010000: 'p',
+  0o140000: 's'
+};
+
+// Each class of user, with the bits for read, write and execute, and the
+// special bit shown in place of its execute letter
+export const PERMISSION_CLASSES = [
+  { key: 'owner', label: 'Owner', bits: [0o400, 0o200, 0o100], special: 0o4000, letter: 's' },
+  { key: 'group', label: 'Group', bits: [0o040, 0o020, 0o010], special: 0o2000, letter: 's' },
+  { key: 'others', label: 'Others', bits: [0o004, 0o002, 0o001], special: 0o1000, letter: 't' }
+];
+
+export const SPECIAL_BITS = [
+  { bit: 0o4000, label: 'Set user ID' },
+  { bit: 0o2000, label: 'Set group ID' },
+  { bit: 0o1000, label: 'Sticky' }
+];
+
+/**
+ * Permission bits of a mode, without the file type
+ * @param {number} mode - Full mode
+ * @returns {number} - 0 to 0o7777
+ */
+export const permissionBits = (mode) => mode & 0o7777;
+
+/**
+ * Mode in ls -l notation, e.g. drwxr-xr-x
+ * @param {number} mode - Full mode, or permission bits only
+ * @returns {string}
+ */
+export const formatMode = (mode) => {
+  const type = TYPE_LETTERS[mode & 0o170000] || '-';
+  return type + PERMISSION_CLASSES.map(({ bits: [read, write, execute], special, letter }) => {
+    const executeLetter = mode & special
+      ? (mode & execute ? letter : letter.toUpperCase())
+      : (mode & execute ? 'x' : '-');
+    return `${mode & read ? 'r' : '-'}${mode & write ? 'w' : '-'}${executeLetter}`;
+  }).join('');
+};
+
+/**
+ * Permission bits as octal digits, e.g. 0755 or 4755
+ * @param {number} mode - Full mode, or permission bits only
+ * @returns {string} - Always four digits
+ */
+export const toOctal = (mode) => permissionBits(mode).toString(8).padStart(4, '0');
+
+/**
+ * Permission bits from octal digits as typed by a user
+ * @param {string} text - Three or four octal digits
+ * @returns {number|null} - null when the text is not a valid mode
+ */
+export const parseOctal = (text) => {
+  const digits = text.trim();
+  return /^[0-7]{3,4}$/.test(digits) ? parseInt(digits, 8) : null;
+};
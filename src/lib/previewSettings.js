@@ -0,0 +1,58 @@
+/**
+ * Limits on how much of a file the preview pane reads, remembered in
+ * localStorage
+ */
+
+const PREVIEW_STORAGE_KEY = 'sftp-preview-settings';
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+const DEFAULT_SETTINGS = {
+  // Largest image and PDF shown; both have to be read whole
+  maxImageSize: 10 * MB,
+  maxPdfSize: 20 * MB,
+  // Bytes read at a time from the start or the end of a text file
+  textChunk: 64 * KB,
+  // Bytes shown per page of the hex viewer
+  hexPageSize: 4 * KB
+};
+
+// Bounds for each setting, in bytes, enforced when saving
+export const PREVIEW_LIMITS = {
+  maxImageSize: { min: 64 * KB, max: 200 * MB },
+  maxPdfSize: { min: 64 * KB, max: 500 * MB },
+  textChunk: { min: 4 * KB, max: 4 * MB },
+  hexPageSize: { min: 256, max: 64 * KB }
+};
+
+/**
+ * Current preview limits
+ * @returns {{ maxImageSize: number, maxPdfSize: number, textChunk: number, hexPageSize: number }}
+ *   Sizes in bytes
+ */
+export const getPreviewSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(PREVIEW_STORAGE_KEY)) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Change preview limits and remember them; values are kept within
+ * PREVIEW_LIMITS
+ * @param {Object} changes - Any of the settings, in bytes
+ * @returns {Object} - The settings now in effect
+ */
+export const savePreviewSettings = (changes) => {
+  const settings = { ...getPreviewSettings() };
+  Object.entries(changes).forEach(([key, value]) => {
+    const limits = PREVIEW_LIMITS[key];
+    if (limits && Number.isFinite(value)) {
+      settings[key] = Math.min(Math.max(Math.round(value), limits.min), limits.max);
+    }
+  });
+  localStorage.setItem(PREVIEW_STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
@@ -0,0 +1,35 @@
+/**
+ * Helpers for POSIX paths on the remote server
+ */
+
+/**
+ * Path of an entry inside a directory
+ * @param {string} dir - Directory path
+ * @param {string} name - Entry name
+ * @returns {string}
+ */
+export const joinPath = (dir, name) => (dir === '/' ? `/${name}` : `${dir}/${name}`);
+
+/**
+ * Directory containing a path
+ * @param {string} path - Remote path
+ * @returns {string} - '/' for entries of the root
+ */
+export const dirname = (path) => path.substring(0, path.lastIndexOf('/')) || '/';
+
+/**
+ * Last component of a path
+ * @param {string} path - Remote path
+ * @returns {string}
+ */
+export const basename = (path) => path.substring(path.lastIndexOf('/') + 1);
+
+/**
+ * Whether a path is a directory or lies anywhere below it
+ * @param {string} path - Remote path
+ * @param {string} dir - Directory path
+ * @returns {boolean}
+ */
+export const isWithin = (path, dir) => (
+  path === dir || path.startsWith(dir === '/' ? '/' : `${dir}/`)
+);
@@ -2,22 +2,53 @@
  * SFTP Client using WebSocket for communication with the bridge server
  */
 
+import SFTPSession from './sftpSession';
+
+// Default time a request may wait for its reply
+const DEFAULT_TIMEOUT = 30000;
+
+// Close code the bridge uses when a socket's login is missing or expired
+const UNAUTHORIZED_CLOSE_CODE = 4401;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Create the error used for cancelled requests
+ * @returns {Error}
+ */
+const createAbortError = () => {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Host and credentials the bridge needs to log in to a server
+ * @param {Object} connection - Saved connection
+ * @returns {Object}
+ */
+const getLoginDetails = (connection) => ({
+  host: connection.host,
+  port: connection.port || 22,
+  username: connection.username,
+  ...(connection.authMethod === 'key'
+    ? { privateKey: connection.privateKey, passphrase: connection.passphrase }
+    : { password: connection.password })
+});
+
 class SFTPClient {
   constructor() {
     this.ws = null;
     this.serverUrl = 'ws://localhost:3000';
-    this.isConnected = false;
-    this.connectionId = null;
-    this.eventListeners = {
-      connect: [],
-      disconnect: [],
-      error: [],
-      fileList: [],
-      fileContent: [],
-      uploadSuccess: [],
-      deleteSuccess: [],
-      mkdirSuccess: []
-    };
+    // Session token from logging in to the bridge
+    this.authToken = null;
+    this.authenticatedSocket = null;
+    this.opening = null;
+    this.sessions = new Map();
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+    this.eventListeners = {};
   }
 
   /**
@@ -32,6 +63,7 @@ class SFTPClient {
 
       // Create new WebSocket connection
       this.ws = new WebSocket(this.serverUrl);
+      this.ws.binaryType = 'arraybuffer';
 
       // Set up event listeners
       this.ws.onopen = () => {
@@ -39,11 +71,14 @@ class SFTPClient {
         resolve();
       };
 
-      this.ws.onclose = () => {
+      this.ws.onclose = (event) => {
         console.log('WebSocket connection closed');
-        this.isConnected = false;
-        this.connectionId = null;
+        this._dropAllSessions();
+        this._rejectAllPending(new Error('WebSocket connection closed'));
         this._emitEvent('disconnect', { message: 'WebSocket connection closed' });
+        if (event.code === UNAUTHORIZED_CLOSE_CODE) {
+          this._emitEvent('unauthorized', { message: event.reason });
+        }
       };
 
       this.ws.onerror = (error) => {
@@ -53,296 +88,437 @@ class SFTPClient {
       };
 
       this.ws.onmessage = (event) => {
-        this._handleMessage(event.data);
+        if (event.data instanceof ArrayBuffer) {
+          this._handleBinaryMessage(event.data);
+        } else {
+          this._handleMessage(event.data);
+        }
       };
     });
   }
 
   /**
-   * Connect to SFTP server
-   * @param {Object} connection - Connection details
-   * @returns {Promise} - Resolves when connected
+   * Open the WebSocket unless it already is
+   * @private
    */
-  async connect(connection) {
-    try {
-      // Ensure WebSocket connection
-      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-        await this.connectToWebsocket();
-      }
+  async _ensureWebsocket() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN && this.authenticatedSocket === this.ws) {
+      return;
+    }
 
-      // Send connect message
-      return new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          reject(new Error('Connection timed out'));
-        }, 15000);
-
-        // Set up one-time listeners for this connection attempt
-        const onConnectSuccess = (data) => {
-          clearTimeout(timeoutId);
-          this.isConnected = true;
-          this.connectionId = data.connectionId;
-          resolve({ success: true });
-        };
-
-        const onConnectError = (data) => {
-          clearTimeout(timeoutId);
-          reject(new Error(data.error || 'Connection failed'));
-        };
-
-        // Add temporary listeners
-        this.once('connect_success', onConnectSuccess);
-        this.once('connect_error', onConnectError);
-
-        // Send connection request
-        this._sendMessage({
-          type: 'connect',
-          host: connection.host,
-          port: connection.port || 22,
-          username: connection.username,
-          password: connection.password,
-          // Add privateKey if using key authentication
-          ...(connection.privateKey && { privateKey: connection.privateKey })
+    // Callers arriving while the socket opens share the attempt
+    if (!this.opening) {
+      this.opening = (async () => {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+          await this.connectToWebsocket();
+        }
+        await this.request('auth', { token: this.authToken }, {
+          timeout: 10000,
+          errorMessage: 'Authentication with the bridge failed'
         });
+        this.authenticatedSocket = this.ws;
+      })().finally(() => {
+        this.opening = null;
       });
-    } catch (error) {
-      console.error('Connection error:', error);
-      throw error;
     }
+    return this.opening;
   }
 
   /**
-   * List files in a directory
-   * @param {string} path - Directory path
-   * @returns {Promise} - Resolves with file list
+   * Use a new bridge login; open sockets of the previous one are closed
+   * @param {string|null} token - Session token, or null when logged out
    */
-  listFiles(path = '/') {
-    if (!this.isConnected) {
-      return Promise.reject(new Error('Not connected to any SFTP server'));
-    }
-
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('List files operation timed out'));
-      }, 10000);
+  setAuthToken(token) {
+    if (token === this.authToken) return;
+    this.authToken = token;
+    this.close();
+  }
 
-      // Set up one-time listeners
-      const onFileList = (data) => {
-        clearTimeout(timeoutId);
-        resolve(data.files);
-      };
+  /**
+   * Log in to the bridge and use the session token it issues
+   * @param {Object} credentials - { username, password } or { token }
+   * @returns {Promise<Object>} - { token, username, expiresAt }
+   */
+  async login(credentials) {
+    const data = await this._fetchJson('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(credentials)
+    }, 'Login failed');
+    this.setAuthToken(data.token);
+    return data;
+  }
 
-      const onError = (data) => {
-        clearTimeout(timeoutId);
-        reject(new Error(data.error || 'Failed to list files'));
-      };
+  /**
+   * End the bridge login and close the socket
+   */
+  async logout() {
+    const token = this.authToken;
+    this.setAuthToken(null);
+    if (!token) return;
 
-      // Add temporary listeners
-      this.once('file_list', onFileList);
-      this.once('error', onError);
+    try {
+      await this._fetchJson('/api/logout', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      }, 'Logout failed');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  }
 
-      // Send list files request
-      this._sendMessage({
-        type: 'list_files',
-        path
-      });
-    });
+  /**
+   * Ways of logging in the bridge offers
+   * @returns {Promise<Object>} - { password, token } booleans
+   */
+  getAuthMethods() {
+    return this._fetchJson('/api/auth-methods', {}, 'Failed to reach the bridge');
   }
 
   /**
-   * Download a file
-   * @param {string} remotePath - Remote file path
-   * @returns {Promise} - Resolves with file content
+   * Call an HTTP endpoint of the bridge
+   * @private
    */
-  downloadFile(remotePath) {
-    if (!this.isConnected) {
-      return Promise.reject(new Error('Not connected to any SFTP server'));
+  async _fetchJson(path, init, errorMessage) {
+    let response;
+    try {
+      response = await fetch(this.serverUrl.replace(/^ws/, 'http') + path, init);
+    } catch {
+      throw new Error('Cannot reach the bridge server');
     }
 
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Download operation timed out'));
-      }, 30000);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || errorMessage);
+    }
+    return data;
+  }
 
-      // Set up one-time listeners
-      const onFileContent = (data) => {
-        clearTimeout(timeoutId);
-        // Convert base64 content to binary data
-        const binaryContent = atob(data.content);
-        resolve({
-          content: binaryContent,
-          size: data.size,
-          path: data.path
-        });
-      };
+  /**
+   * Open a new SFTP session; existing sessions stay open
+   * @param {Object} connection - Connection details
+   * @param {Array<Object>} [connection.jumpHosts] - Connection details of the
+   *   jump hosts to go through, first hop first
+   * @param {Object} [connection.proxy] - Proxy for the first hop
+   *   ({ type: 'default'|'none'|'socks5'|'http', host, port, username, password });
+   *   without it the bridge's default proxy is used, if any
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [options.onHostKey] - Asked whether to trust an unknown
+   *   host key ({ host, port, keyType, fingerprint }); resolves to a boolean.
+   *   Without it unknown keys are rejected.
+   * @param {Function} [options.onAuthPrompt] - Asked to answer a keyboard-interactive
+   *   round ({ host, port, username, name, instructions, prompts: [{ prompt, echo }] });
+   *   resolves to an array of answers, or null to give up
+   * @returns {Promise<SFTPSession>} - Resolves with the connected session
+   */
+  async connect(connection, options = {}) {
+    const { onHostKey, onAuthPrompt, ...requestOptions } = options;
 
-      const onError = (data) => {
-        clearTimeout(timeoutId);
-        reject(new Error(data.error || 'Failed to download file'));
-      };
+    try {
+      await this._ensureWebsocket();
+
+      const data = await this.request('connect', {
+        ...getLoginDetails(connection),
+        jumpHosts: (connection.jumpHosts || []).map(getLoginDetails),
+        proxy: connection.proxy
+      }, {
+        // Longer than the bridge's own deadline for each hop, which reports
+        // every hop it starts on
+        timeout: 25000,
+        timeoutMessage: 'Connection timed out',
+        errorMessage: 'Connection failed',
+        ...requestOptions,
+        onMessage: (message) => {
+          if (message.type === 'host_key_prompt') {
+            this._answerPrompt(message, async () => ({
+              accept: onHostKey ? Boolean(await onHostKey({
+                host: message.host,
+                port: message.port,
+                keyType: message.keyType,
+                fingerprint: message.fingerprint
+              })) : false
+            }));
+          } else if (message.type === 'auth_prompt') {
+            this._answerPrompt(message, async () => {
+              const answers = onAuthPrompt ? await onAuthPrompt({
+                host: message.host,
+                port: message.port,
+                username: message.username,
+                name: message.name,
+                instructions: message.instructions,
+                prompts: message.prompts
+              }) : null;
+              return answers ? { answers } : { cancel: true };
+            });
+          }
+        }
+      });
 
-      // Add temporary listeners
-      this.once('file_content', onFileContent);
-      this.once('error', onError);
+      const session = new SFTPSession(this, data.sessionId, connection);
+      this.sessions.set(session.id, session);
+      this._emitEvent('connect', { sessionId: session.id });
+      return session;
+    } catch (error) {
+      console.error('Connection error:', error);
+      throw error;
+    }
+  }
 
-      // Send download request
-      this._sendMessage({
-        type: 'download_file',
-        remotePath
-      });
-    });
+  /**
+   * Get an open session by id
+   * @param {string} sessionId - Session id
+   * @returns {SFTPSession|undefined}
+   */
+  getSession(sessionId) {
+    return this.sessions.get(sessionId);
   }
 
   /**
-   * Upload a file
-   * @param {string} remotePath - Remote file path
-   * @param {string|ArrayBuffer} content - File content
-   * @returns {Promise} - Resolves when upload is complete
+   * Find an open session to the same server as a connection key
+   * @param {string} connectionKey - user@host:port
+   * @returns {SFTPSession|undefined}
    */
-  uploadFile(remotePath, content) {
-    if (!this.isConnected) {
-      return Promise.reject(new Error('Not connected to any SFTP server'));
-    }
+  findSession(connectionKey) {
+    return Array.from(this.sessions.values())
+      .find((session) => session.connectionKey === connectionKey);
+  }
 
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Upload operation timed out'));
-      }, 30000);
+  /**
+   * Close an SFTP session
+   * @param {string} sessionId - Session id
+   * @returns {Promise} - Resolves when disconnected
+   */
+  async disconnect(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      return;
+    }
 
-      // Set up one-time listeners
-      const onUploadSuccess = (data) => {
-        clearTimeout(timeoutId);
-        resolve(data);
-      };
+    try {
+      await this.request('disconnect', { sessionId }, { timeout: 5000 });
+    } finally {
+      this._dropSession(sessionId, 'Disconnected');
+    }
+  }
 
-      const onError = (data) => {
-        clearTimeout(timeoutId);
-        reject(new Error(data.error || 'Failed to upload file'));
-      };
+  /**
+   * Check that the bridge can read a private key
+   * @param {string} privateKey - Key in OpenSSH or PEM format
+   * @param {string} [passphrase] - Passphrase of an encrypted key
+   * @returns {Promise<Object>} - { keyType, fingerprint, comment }; rejects with
+   *   an error whose code says what is wrong with the key
+   */
+  async validateKey(privateKey, passphrase) {
+    await this._ensureWebsocket();
+    const data = await this.request('validate_key', { privateKey, passphrase }, {
+      errorMessage: 'Invalid private key'
+    });
+    return {
+      keyType: data.keyType,
+      fingerprint: data.fingerprint,
+      comment: data.comment
+    };
+  }
 
-      // Add temporary listeners
-      this.once('upload_success', onUploadSuccess);
-      this.once('error', onError);
-
-      // Convert content to base64
-      let base64Content;
-      if (typeof content === 'string') {
-        base64Content = btoa(content);
-      } else if (content instanceof ArrayBuffer) {
-        base64Content = btoa(String.fromCharCode.apply(null, new Uint8Array(content)));
-      } else {
-        reject(new Error('Invalid content type'));
-        return;
-      }
+  /**
+   * List the host keys the bridge trusts
+   * @returns {Promise<Array>} - Entries of { host, port, keyType, fingerprint, addedAt }
+   */
+  async listKnownHosts() {
+    await this._ensureWebsocket();
+    const data = await this.request('list_known_hosts', {}, {
+      errorMessage: 'Failed to load trusted host keys'
+    });
+    return data.hosts;
+  }
 
-      // Send upload request
-      this._sendMessage({
-        type: 'upload_file',
-        remotePath,
-        content: base64Content
-      });
+  /**
+   * Stop trusting the host key stored for a server
+   * @param {string} host - Host name
+   * @param {number} port - Port
+   * @returns {Promise}
+   */
+  async removeKnownHost(host, port) {
+    await this._ensureWebsocket();
+    return this.request('remove_known_host', { host, port }, {
+      errorMessage: 'Failed to remove trusted host key'
     });
   }
 
   /**
-   * Delete a file or directory
-   * @param {string} path - Path to delete
-   * @param {boolean} isDirectory - Whether path is a directory
-   * @returns {Promise} - Resolves when delete is complete
+   * Send a request to the bridge and wait for the reply carrying its id
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Milliseconds without any reply before the request fails
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @param {string} [options.timeoutMessage] - Error message on timeout
+   * @param {string} [options.errorMessage] - Fallback error message
+   * @param {Function} [options.onMessage] - Receives intermediate messages
+   * @param {Function} [options.onChunk] - Receives binary frames as Uint8Array
+   * @returns {Promise} - Resolves with the reply message
    */
-  deleteFile(path, isDirectory = false) {
-    if (!this.isConnected) {
-      return Promise.reject(new Error('Not connected to any SFTP server'));
+  request(type, payload = {}, options = {}) {
+    const {
+      timeout = DEFAULT_TIMEOUT,
+      signal,
+      timeoutMessage = 'Request timed out',
+      errorMessage = 'Request failed',
+      onMessage,
+      onChunk
+    } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
     }
 
+    const requestId = String(this.nextRequestId++);
+
     return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Delete operation timed out'));
-      }, 10000);
+      let timeoutId = null;
 
-      // Set up one-time listeners
-      const onDeleteSuccess = (data) => {
+      const cleanup = () => {
         clearTimeout(timeoutId);
-        resolve(data);
+        signal?.removeEventListener('abort', onAbort);
+        this.pendingRequests.delete(requestId);
       };
 
-      const onError = (data) => {
-        clearTimeout(timeoutId);
-        reject(new Error(data.error || 'Failed to delete file'));
+      const onAbort = () => {
+        cleanup();
+        this._sendCancel(requestId);
+        reject(createAbortError());
       };
 
-      // Add temporary listeners
-      this.once('delete_success', onDeleteSuccess);
-      this.once('error', onError);
+      const hold = () => clearTimeout(timeoutId);
+
+      // Streaming requests stay alive as long as data keeps arriving
+      const touch = () => {
+        clearTimeout(timeoutId);
+        if (timeout > 0) {
+          timeoutId = setTimeout(() => {
+            cleanup();
+            this._sendCancel(requestId);
+            reject(new Error(timeoutMessage));
+          }, timeout);
+        }
+      };
 
-      // Send delete request
-      this._sendMessage({
-        type: 'delete_file',
-        path,
-        isDirectory
+      touch();
+      signal?.addEventListener('abort', onAbort);
+
+      this.pendingRequests.set(requestId, {
+        type,
+        touch,
+        hold,
+        onMessage,
+        onChunk,
+        resolve: (message) => {
+          cleanup();
+          resolve(message);
+        },
+        reject: (message) => {
+          cleanup();
+          const error = new Error(message.error || errorMessage);
+          error.code = message.code;
+          error.details = message;
+          reject(error);
+        },
+        fail: (error) => {
+          cleanup();
+          reject(error);
+        }
       });
+
+      try {
+        this._sendMessage({ type, requestId, ...payload });
+      } catch (error) {
+        cleanup();
+        reject(error);
+      }
     });
   }
 
   /**
-   * Create a directory
-   * @param {string} path - Directory path
-   * @returns {Promise} - Resolves when directory is created
+   * Cancel a pending request by id
+   * @param {string} requestId - Request id
    */
-  createDirectory(path) {
-    if (!this.isConnected) {
-      return Promise.reject(new Error('Not connected to any SFTP server'));
-    }
+  cancel(requestId) {
+    this.abortRequest(requestId, createAbortError());
+  }
 
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Create directory operation timed out'));
-      }, 10000);
+  /**
+   * Whether a request is still waiting for its reply
+   * @param {string} requestId - Request id
+   * @returns {boolean}
+   */
+  isPending(requestId) {
+    return this.pendingRequests.has(requestId);
+  }
 
-      // Set up one-time listeners
-      const onMkdirSuccess = (data) => {
-        clearTimeout(timeoutId);
-        resolve(data);
-      };
+  /**
+   * Fail a pending request locally and tell the bridge to stop its work
+   * @param {string} requestId - Request id
+   * @param {Error} error - Reason
+   */
+  abortRequest(requestId, error) {
+    const pending = this.pendingRequests.get(requestId);
+    if (pending) {
+      this._sendCancel(requestId);
+      pending.fail(error);
+    }
+  }
 
-      const onError = (data) => {
-        clearTimeout(timeoutId);
-        reject(new Error(data.error || 'Failed to create directory'));
-      };
+  /**
+   * Answer a question the bridge asked while handling a request. The request
+   * does not time out while the user is deciding.
+   * @param {Object} message - Prompt message
+   * @param {Function} getAnswer - Resolves with the fields to send back
+   * @private
+   */
+  async _answerPrompt(message, getAnswer) {
+    const { requestId } = message;
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return;
 
-      // Add temporary listeners
-      this.once('mkdir_success', onMkdirSuccess);
-      this.once('error', onError);
+    pending.hold();
+    let answer = {};
+    try {
+      answer = await getAnswer();
+    } catch (error) {
+      console.error('Error answering prompt:', error);
+    }
 
-      // Send create directory request
-      this._sendMessage({
-        type: 'create_directory',
-        path
-      });
-    });
+    // The request may have been cancelled while waiting
+    if (!this.isPending(requestId)) return;
+
+    pending.touch();
+    try {
+      this._sendMessage({ type: 'prompt_response', targetId: requestId, ...answer });
+    } catch (error) {
+      pending.fail(error);
+    }
   }
 
   /**
-   * Disconnect from SFTP server
-   * @returns {Promise} - Resolves when disconnected
+   * Ask the bridge to abort the work behind a request
+   * @param {string} requestId - Request id
+   * @private
    */
-  disconnect() {
-    if (!this.isConnected) {
-      return Promise.resolve();
+  _sendCancel(requestId) {
+    try {
+      this._sendMessage({ type: 'cancel', targetId: requestId });
+    } catch {
+      // Socket is gone, so is the work behind the request
     }
+  }
 
-    return new Promise((resolve) => {
-      // Set up one-time listener
-      this.once('disconnect', () => {
-        this.isConnected = false;
-        this.connectionId = null;
-        resolve();
-      });
-
-      // Send disconnect request
-      this._sendMessage({
-        type: 'disconnect'
-      });
-    });
+  /**
+   * Fail every pending request, e.g. when the socket closes
+   * @param {Error} error - Reason
+   * @private
+   */
+  _rejectAllPending(error) {
+    this.pendingRequests.forEach((pending) => pending.fail(error));
+    this.pendingRequests.clear();
   }
 
   /**
@@ -352,8 +528,7 @@ class SFTPClient {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.close();
     }
-    this.isConnected = false;
-    this.connectionId = null;
+    this._dropAllSessions();
   }
 
   /**
@@ -362,9 +537,10 @@ class SFTPClient {
    * @param {Function} callback - Callback function
    */
   on(event, callback) {
-    if (this.eventListeners[event]) {
-      this.eventListeners[event].push(callback);
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
     }
+    this.eventListeners[event].push(callback);
   }
 
   /**
@@ -402,6 +578,25 @@ class SFTPClient {
     try {
       const message = JSON.parse(data);
       console.log('Received message:', message.type);
+
+      // The bridge reports sessions that ended on their own
+      if (message.type === 'disconnect' && !message.requestId && message.sessionId) {
+        this._dropSession(message.sessionId, message.message);
+        return;
+      }
+
+      // Route replies to the request they belong to
+      const pending = message.requestId && this.pendingRequests.get(message.requestId);
+      if (pending) {
+        if (message.type === 'error' || message.type.endsWith('_error')) {
+          pending.reject(message);
+        } else if (message.final === false) {
+          pending.touch();
+          pending.onMessage?.(message);
+        } else {
+          pending.resolve(message);
+        }
+      }
       
       // Emit event
       this._emitEvent(message.type, message);
@@ -410,19 +605,81 @@ class SFTPClient {
     }
   }
 
+  /**
+   * Handle incoming binary frames: [id length][request id][payload]
+   * @param {ArrayBuffer} data - Frame data
+   * @private
+   */
+  _handleBinaryMessage(data) {
+    const bytes = new Uint8Array(data);
+    const idLength = bytes[0];
+    const requestId = textDecoder.decode(bytes.subarray(1, 1 + idLength));
+    const pending = this.pendingRequests.get(requestId);
+
+    if (!pending || !pending.onChunk) {
+      return;
+    }
+
+    pending.touch();
+    try {
+      pending.onChunk(bytes.subarray(1 + idLength));
+    } catch (error) {
+      this.abortRequest(requestId, error);
+    }
+  }
+
   /**
    * Send message to WebSocket server
-   * @param {Object} message - Message to send
+   * @param {Object|Uint8Array} message - Message to send
    * @private
    */
   _sendMessage(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+      this.ws.send(message instanceof Uint8Array ? message : JSON.stringify(message));
     } else {
       throw new Error('WebSocket is not connected');
     }
   }
 
+  /**
+   * Send a binary frame belonging to a request
+   * @param {string} requestId - Request id
+   * @param {Uint8Array} chunk - Payload
+   */
+  sendChunk(requestId, chunk) {
+    const id = textEncoder.encode(requestId);
+    const frame = new Uint8Array(1 + id.length + chunk.length);
+    frame[0] = id.length;
+    frame.set(id, 1);
+    frame.set(chunk, 1 + id.length);
+    this._sendMessage(frame);
+  }
+
+  /**
+   * Forget a session and tell listeners it is gone
+   * @param {string} sessionId - Session id
+   * @param {string} message - Reason
+   * @private
+   */
+  _dropSession(sessionId, message) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    session.isConnected = false;
+    this.sessions.delete(sessionId);
+    this._emitEvent('disconnect', { sessionId, message });
+  }
+
+  /**
+   * Forget every session, e.g. when the socket closes
+   * @private
+   */
+  _dropAllSessions() {
+    Array.from(this.sessions.keys()).forEach((sessionId) => {
+      this._dropSession(sessionId, 'WebSocket connection closed');
+    });
+  }
+
   /**
    * Emit event to listeners
    * @param {string} event - Event name
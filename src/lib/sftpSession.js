@@ -0,0 +1,791 @@
+/**
+ * One SFTP session opened over the shared bridge WebSocket
+ *
+ * Every request a session sends carries its session id, so several servers
+ * can be browsed and transferred to at the same time over one socket.
+ */
+
+import { createProgressTracker } from './transferProgress';
+import {
+  getTransferKey,
+  getPartialUpload,
+  savePartialUpload,
+  clearPartialUpload,
+  getPartialDownload,
+  hasPartialDownload,
+  clearPartialDownload,
+  releasePartialDownload,
+  hashBlob
+} from './transferResume';
+
+// Size of each binary frame sent for uploads
+const CHUNK_SIZE = 64 * 1024;
+
+// Bytes an upload may have in flight before waiting for the bridge
+const UPLOAD_WINDOW = 16 * CHUNK_SIZE;
+
+class SFTPSession {
+  /**
+   * @param {SFTPClient} client - Client owning the WebSocket
+   * @param {string} id - Session id assigned by the bridge
+   * @param {Object} connection - Connection details the session was opened with
+   */
+  constructor(client, id, connection) {
+    this.client = client;
+    this.id = id;
+    this.connection = connection;
+    this.connectionKey = `${connection.username}@${connection.host}:${connection.port || 22}`;
+    this.isConnected = true;
+  }
+
+  /**
+   * List files in a directory
+   * @param {string} path - Directory path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves with file list
+   */
+  async listFiles(path = '/', options = {}) {
+    const data = await this._request('list_files', { path }, {
+      timeout: 10000,
+      timeoutMessage: 'List files operation timed out',
+      errorMessage: 'Failed to list files',
+      ...options
+    });
+    return data.files;
+  }
+
+  /**
+   * Download a file as a stream of binary chunks
+   * @param {string} remotePath - Remote file path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [options.onProgress] - Receives { bytes, total, rate, eta }
+   * @param {WritableStream|FileSystemWritableFileStream} [options.writable] -
+   *   Destination written chunk by chunk instead of buffering in memory
+   * @param {boolean} [options.resume] - Keep received data when the download
+   *   fails and continue from it on the next call for the same path
+   * @param {boolean} [options.verify] - Also compare hashes of the part
+   *   already received before resuming (in-memory downloads only)
+   * @returns {Promise} - Resolves with { blob, size, path, mtime }; blob is
+   *   omitted when the content went to a writable
+   */
+  async downloadFile(remotePath, options = {}) {
+    const { onProgress, writable, resume = false, verify = false, ...requestOptions } = options;
+    const key = getTransferKey(this.connectionKey, remotePath);
+    const partial = resume
+      ? getPartialDownload(key)
+      : { bytes: 0, size: null, mtime: null, chunks: [], writer: null };
+
+    // FileSystemWritableFileStream can be written directly, a plain
+    // WritableStream needs a writer
+    if (writable && !partial.writer) {
+      partial.writer = writable.write ? writable : writable.getWriter();
+    }
+    const { writer } = partial;
+
+    if (partial.bytes > 0 && !(await this._canResumeDownload(remotePath, partial, verify))) {
+      if (writer && typeof writer.truncate !== 'function') {
+        throw new Error('Remote file changed and the download cannot be restarted');
+      }
+      await writer?.truncate(0);
+      partial.bytes = 0;
+      partial.chunks = [];
+    }
+
+    let tracker = null;
+    let writeChain = Promise.resolve();
+
+    try {
+      const data = await this._request('download_file', {
+        remotePath,
+        offset: partial.bytes
+      }, {
+        timeout: 30000,
+        timeoutMessage: 'Download operation timed out',
+        errorMessage: 'Failed to download file',
+        ...requestOptions,
+        onMessage: (message) => {
+          if (message.type === 'download_start') {
+            partial.size = message.size;
+            partial.mtime = message.mtime;
+            tracker = createProgressTracker(message.size, message.offset);
+            onProgress?.(tracker.snapshot());
+          }
+        },
+        onChunk: (chunk) => {
+          if (writer) {
+            // Writes are queued so chunks land on disk in arrival order,
+            // and only count once written so a resume never skips bytes
+            writeChain = writeChain
+              .then(() => writer.write(chunk))
+              .then(() => { partial.bytes += chunk.byteLength; });
+          } else {
+            partial.chunks.push(chunk);
+            partial.bytes += chunk.byteLength;
+          }
+
+          if (tracker && tracker.update(chunk.byteLength)) {
+            onProgress?.(tracker.snapshot());
+          }
+        }
+      });
+
+      await writeChain;
+      if (partial.bytes !== data.size) {
+        throw new Error(`Download incomplete: received ${partial.bytes} of ${data.size} bytes`);
+      }
+
+      if (tracker) {
+        onProgress?.(tracker.snapshot());
+      }
+
+      releasePartialDownload(key);
+
+      if (writer) {
+        await writer.close();
+        return { size: data.size, path: data.path };
+      }
+
+      return {
+        blob: new Blob(partial.chunks, { type: 'application/octet-stream' }),
+        size: data.size,
+        path: data.path,
+        mtime: partial.mtime
+      };
+    } catch (error) {
+      await writeChain.catch(() => {});
+      if (!resume && writer) {
+        await Promise.resolve(writer.abort?.()).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Download files and folders as one archive the bridge builds on the fly
+   * @param {string[]} paths - Remote paths; folders are included with
+   *   everything in them, named relative to their parent
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {string} [options.format] - 'zip' (default) or 'tar.gz'
+   * @param {Function} [options.onProgress] - Receives { files, bytes, total,
+   *   rate, eta } once the bridge has listed the selection, bytes counting
+   *   the files read so far; { listed } while it is still listing
+   * @param {WritableStream|FileSystemWritableFileStream} [options.writable] -
+   *   Destination written chunk by chunk instead of buffering in memory
+   * @returns {Promise} - Resolves with { blob, size, files, skipped, changed,
+   *   unreadable, skippedLinks }; blob is omitted when the archive went to a
+   *   writable
+   */
+  async downloadArchive(paths, options = {}) {
+    const { format = 'zip', onProgress, writable, ...requestOptions } = options;
+    const writer = writable && (writable.write ? writable : writable.getWriter());
+    const chunks = [];
+    let received = 0;
+    let writeChain = Promise.resolve();
+    let tracker = null;
+    let files = 0;
+
+    try {
+      const data = await this._request('download_archive', { paths, format }, {
+        timeout: 30000,
+        timeoutMessage: 'Archive download timed out',
+        errorMessage: 'Failed to download archive',
+        ...requestOptions,
+        onMessage: (message) => {
+          if (message.type === 'scan_progress') {
+            onProgress?.({ listed: message.files });
+          } else if (message.type === 'archive_start') {
+            files = message.files;
+            tracker = createProgressTracker(message.bytes);
+            onProgress?.({ files, ...tracker.snapshot() });
+          } else if (message.type === 'archive_progress' && tracker) {
+            tracker.update(message.bytes - tracker.snapshot().bytes);
+            onProgress?.({ files, ...tracker.snapshot() });
+          }
+        },
+        onChunk: (chunk) => {
+          received += chunk.byteLength;
+          if (writer) {
+            writeChain = writeChain.then(() => writer.write(chunk));
+          } else {
+            chunks.push(chunk);
+          }
+        }
+      });
+
+      await writeChain;
+      if (received !== data.size) {
+        throw new Error(`Download incomplete: received ${received} of ${data.size} bytes`);
+      }
+
+      if (tracker) {
+        tracker.update(data.bytes - tracker.snapshot().bytes);
+        onProgress?.({ files, ...tracker.snapshot() });
+      }
+
+      const result = {
+        size: data.size,
+        files: data.files,
+        skipped: data.skipped,
+        changed: data.changed,
+        unreadable: data.unreadable,
+        skippedLinks: data.skippedLinks
+      };
+      if (writer) {
+        await writer.close();
+        return result;
+      }
+      return {
+        ...result,
+        blob: new Blob(chunks, { type: format === 'zip' ? 'application/zip' : 'application/gzip' })
+      };
+    } catch (error) {
+      await writeChain.catch(() => {});
+      await Promise.resolve(writer?.abort?.()).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Whether part of a download is held for a retry
+   * @param {string} remotePath - Remote file path
+   * @returns {boolean}
+   */
+  hasPartialDownload(remotePath) {
+    return hasPartialDownload(getTransferKey(this.connectionKey, remotePath));
+  }
+
+  /**
+   * Give up on a resumable download and discard what was received
+   * @param {string} remotePath - Remote file path
+   * @returns {Promise}
+   */
+  discardPartialDownload(remotePath) {
+    return clearPartialDownload(getTransferKey(this.connectionKey, remotePath));
+  }
+
+  /**
+   * Read part of a file into memory, for previews that only need a few
+   * bytes of it
+   * @param {string} remotePath - Remote file path
+   * @param {number} offset - First byte to read
+   * @param {number} length - Number of bytes to read at most; fewer come
+   *   back when the file ends sooner
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves with { bytes, offset, size, mtime }, size
+   *   and mtime being those of the whole file
+   */
+  async readRange(remotePath, offset, length, options = {}) {
+    const chunks = [];
+    let received = 0;
+    let stats = null;
+    await this._request('download_file', { remotePath, offset, length }, {
+      timeout: 30000,
+      timeoutMessage: 'Reading the file timed out',
+      errorMessage: 'Failed to read file',
+      ...options,
+      onMessage: (message) => {
+        if (message.type === 'download_start') {
+          stats = { size: message.size, mtime: message.mtime };
+        }
+      },
+      onChunk: (chunk) => {
+        chunks.push(chunk);
+        received += chunk.byteLength;
+      }
+    });
+
+    // Checked against the size the file had when the read started; the
+    // completion message only counts what was sent
+    const expected = Math.min(length, stats.size - offset);
+    if (received !== expected) {
+      throw new Error(`Read incomplete: received ${received} of ${expected} bytes`);
+    }
+
+    const bytes = new Uint8Array(received);
+    let position = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, position);
+      position += chunk.byteLength;
+    }
+    return { bytes, offset, size: stats.size, mtime: stats.mtime };
+  }
+
+  /**
+   * Upload a file as a stream of binary chunks read incrementally
+   * @param {string} remotePath - Remote file path
+   * @param {Blob|File|ArrayBuffer|string} content - File content
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [options.onProgress] - Receives { bytes, total, rate, eta }
+   * @param {Function} [options.onOpen] - Called once the bridge has opened
+   *   the remote file for writing
+   * @param {boolean} [options.resume] - Continue an earlier upload of the
+   *   same local file from the bytes already on the server
+   * @param {boolean} [options.verify] - Also compare hashes of the part
+   *   already uploaded before resuming
+   * @param {Object} [options.expect] - { size, mtime } the remote file must
+   *   still have; otherwise nothing is written and the promise rejects with
+   *   code CHANGED and the current size and mtime in error.details
+   * @returns {Promise} - Resolves with { path, size, mtime } when complete
+   */
+  async uploadFile(remotePath, content, options = {}) {
+    const { onProgress, onOpen, resume = false, verify = false, expect, ...requestOptions } = options;
+
+    let blob;
+    if (content instanceof Blob) {
+      blob = content;
+    } else if (typeof content === 'string' || content instanceof ArrayBuffer) {
+      blob = new Blob([content]);
+    } else {
+      throw new Error('Invalid content type');
+    }
+
+    const key = getTransferKey(this.connectionKey, remotePath);
+    let offset = 0;
+    if (resume) {
+      const record = getPartialUpload(key, blob);
+      if (record) {
+        offset = await this._getUploadResumeOffset(remotePath, blob, record.bytes, verify);
+      }
+      savePartialUpload(key, blob, offset);
+    }
+
+    const tracker = createProgressTracker(blob.size, offset);
+    let acked = offset;
+    let onAck = null;
+
+    // Send chunks while keeping at most UPLOAD_WINDOW bytes unacknowledged,
+    // so a slow SFTP server holds back the browser instead of the bridge
+    const pump = async (requestId) => {
+      let position = offset;
+      while (position < blob.size && this.client.isPending(requestId)) {
+        if (position - acked >= UPLOAD_WINDOW) {
+          await new Promise((resolve) => { onAck = resolve; });
+          continue;
+        }
+
+        const chunk = await blob.slice(position, position + CHUNK_SIZE).arrayBuffer();
+        if (!this.client.isPending(requestId)) {
+          return;
+        }
+        this.client.sendChunk(requestId, new Uint8Array(chunk));
+        position += chunk.byteLength;
+      }
+    };
+
+    try {
+      const data = await this._request('upload_file', {
+        remotePath,
+        size: blob.size,
+        offset,
+        expect
+      }, {
+        timeout: 30000,
+        timeoutMessage: 'Upload operation timed out',
+        errorMessage: 'Failed to upload file',
+        ...requestOptions,
+        onMessage: (message) => {
+          if (message.type === 'upload_ready') {
+            onOpen?.();
+            onProgress?.(tracker.snapshot());
+            pump(message.requestId).catch((error) => {
+              this.client.abortRequest(message.requestId, error);
+            });
+          } else if (message.type === 'upload_progress') {
+            const delta = message.bytes - acked;
+            acked = message.bytes;
+            if (tracker.update(delta)) {
+              onProgress?.(tracker.snapshot());
+              if (resume) {
+                savePartialUpload(key, blob, acked);
+              }
+            }
+            onAck?.();
+            onAck = null;
+          }
+        }
+      });
+
+      if (resume) {
+        clearPartialUpload(key);
+      }
+      onProgress?.(tracker.snapshot());
+      return data;
+    } finally {
+      // Release a pump still waiting for an acknowledgement
+      onAck?.();
+    }
+  }
+
+  /**
+   * Get metadata for a remote path
+   * @param {string} path - Remote path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves with { path, size, mtime, isDirectory }
+   */
+  stat(path, options = {}) {
+    return this._request('stat', { path }, {
+      timeout: 10000,
+      timeoutMessage: 'Stat operation timed out',
+      errorMessage: 'Failed to stat file',
+      ...options
+    });
+  }
+
+  /**
+   * Hash a remote file on the bridge
+   * @param {string} path - Remote file path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {number} [options.length] - Only hash the first `length` bytes
+   * @param {string} [options.algorithm] - sha256 (default), sha1 or md5
+   * @returns {Promise<string>} - Resolves with the hex digest
+   */
+  async hashFile(path, options = {}) {
+    const { length, algorithm = 'sha256', ...requestOptions } = options;
+    const data = await this._request('hash_file', { path, length, algorithm }, {
+      timeout: 30000,
+      timeoutMessage: 'Hash operation timed out',
+      errorMessage: 'Failed to hash file',
+      ...requestOptions
+    });
+    return data.hash;
+  }
+
+  /**
+   * Check that a partial download still matches the remote file
+   * @private
+   */
+  async _canResumeDownload(remotePath, partial, verify) {
+    const stats = await this.stat(remotePath);
+    if (stats.size !== partial.size || stats.mtime !== partial.mtime || partial.bytes > stats.size) {
+      return false;
+    }
+
+    if (verify && !partial.writer) {
+      const remoteHash = await this.hashFile(remotePath, { length: partial.bytes });
+      return remoteHash === await hashBlob(new Blob(partial.chunks));
+    }
+    return true;
+  }
+
+  /**
+   * Work out how much of an interrupted upload can be kept
+   * @returns {Promise<number>} - Offset to continue from, 0 to start over
+   * @private
+   */
+  async _getUploadResumeOffset(remotePath, blob, acknowledged, verify) {
+    let stats;
+    try {
+      stats = await this.stat(remotePath);
+    } catch {
+      return 0;
+    }
+
+    if (stats.isDirectory || stats.size > blob.size) {
+      return 0;
+    }
+
+    // Never trust bytes the bridge did not acknowledge
+    const offset = Math.min(stats.size, acknowledged || 0);
+
+    if (verify && offset > 0) {
+      const remoteHash = await this.hashFile(remotePath, { length: offset });
+      if (remoteHash !== await hashBlob(blob.slice(0, offset))) {
+        return 0;
+      }
+    }
+    return offset;
+  }
+
+  /**
+   * Delete a file or directory
+   * @param {string} path - Path to delete
+   * @param {boolean} isDirectory - Whether path is a directory
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves when delete is complete
+   */
+  deleteFile(path, isDirectory = false, options = {}) {
+    return this._request('delete_file', { path, isDirectory }, {
+      timeout: 10000,
+      timeoutMessage: 'Delete operation timed out',
+      errorMessage: 'Failed to delete file',
+      ...options
+    });
+  }
+
+  /**
+   * Create directories along with any missing parents; existing ones are
+   * left alone
+   * @param {string[]} paths - Directory paths
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves with { created }
+   */
+  createDirectories(paths, options = {}) {
+    return this._request('create_directories', { paths }, {
+      timeout: 30000,
+      timeoutMessage: 'Create directories operation timed out',
+      errorMessage: 'Failed to create directories',
+      ...options
+    });
+  }
+
+  /**
+   * List everything below a directory, walked on the bridge
+   * @param {string} path - Directory path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves with { path, entries, unreadable,
+   *   skippedLinks }; entries are { path, isDirectory, size, mtime } with
+   *   paths relative to the directory, parents before their contents
+   */
+  listTree(path, options = {}) {
+    return this._request('list_tree', { path }, {
+      timeout: 60000,
+      timeoutMessage: 'Listing the folder timed out',
+      errorMessage: 'Failed to list folder',
+      ...options
+    });
+  }
+
+  /**
+   * Count what lies below a directory, e.g. before deleting it
+   * @param {string} path - Directory path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [options.onProgress] - Receives the running totals
+   * @returns {Promise} - Resolves with { path, files, directories, bytes,
+   *   unreadable }, unreadable counting subdirectories that could not be listed
+   */
+  async scanTree(path, options = {}) {
+    const { onProgress, ...requestOptions } = options;
+    const pick = ({ files, directories, bytes, unreadable }) => ({ files, directories, bytes, unreadable });
+    const data = await this._request('scan_tree', { path }, {
+      timeout: 30000,
+      timeoutMessage: 'Scanning the folder timed out',
+      errorMessage: 'Failed to scan folder',
+      ...requestOptions,
+      onMessage: (message) => {
+        if (message.type === 'scan_progress') {
+          onProgress?.(pick(message));
+        }
+      }
+    });
+    return { path: data.path, ...pick(data) };
+  }
+
+  /**
+   * Delete a directory and everything in it, deepest entries first. Entries
+   * that cannot be removed are reported and skipped; aborting the signal
+   * stops the bridge after the entries in progress.
+   * @param {string} path - Directory path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [options.onProgress] - Receives { deleted, total, path,
+   *   failures }, failures accumulating { path, error } as they happen
+   * @returns {Promise} - Resolves with { path, deleted, failures }
+   */
+  async deleteTree(path, options = {}) {
+    const { onProgress, ...requestOptions } = options;
+    const failures = [];
+    const data = await this._request('delete_tree', { path }, {
+      timeout: 30000,
+      timeoutMessage: 'Deleting the folder timed out',
+      errorMessage: 'Failed to delete folder',
+      ...requestOptions,
+      onMessage: (message) => {
+        if (message.type === 'delete_progress') {
+          failures.push(...message.failures);
+          onProgress?.({
+            deleted: message.deleted,
+            total: message.total,
+            path: message.path,
+            failures: [...failures]
+          });
+        }
+      }
+    });
+    return { path: data.path, deleted: data.deleted, failures: data.failures };
+  }
+
+  /**
+   * Create a directory
+   * @param {string} path - Directory path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves when directory is created
+   */
+  createDirectory(path, options = {}) {
+    return this._request('create_directory', { path }, {
+      timeout: 10000,
+      timeoutMessage: 'Create directory operation timed out',
+      errorMessage: 'Failed to create directory',
+      ...options
+    });
+  }
+
+  /**
+   * Create a symbolic link
+   * @param {string} linkPath - Path of the new link
+   * @param {string} target - What the link points to, absolute or relative
+   *   to the folder of the link; it need not exist
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves when the link is created
+   */
+  createSymlink(linkPath, target, options = {}) {
+    return this._request('create_symlink', { linkPath, target }, {
+      timeout: 10000,
+      timeoutMessage: 'Create link operation timed out',
+      errorMessage: 'Failed to create link',
+      ...options
+    });
+  }
+
+  /**
+   * Resolve a path to its canonical form, following every symbolic link
+   * @param {string} path - Remote path
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves with { realPath, isDirectory }; rejects
+   *   when a link on the way is broken
+   */
+  async realPath(path, options = {}) {
+    const data = await this._request('realpath', { path }, {
+      timeout: 10000,
+      timeoutMessage: 'Resolving the path timed out',
+      errorMessage: 'Failed to resolve the path',
+      ...options
+    });
+    return { realPath: data.realPath, isDirectory: data.isDirectory };
+  }
+
+  /**
+   * Rename or move a file or directory
+   * @param {string} oldPath - Current path
+   * @param {string} newPath - New path, possibly in another directory
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {boolean} [options.overwrite] - Replace an existing newPath;
+   *   without it the request fails with code EXISTS
+   * @returns {Promise} - Resolves with { oldPath, newPath, replaced, atomic }
+   */
+  rename(oldPath, newPath, options = {}) {
+    const { overwrite = false, ...requestOptions } = options;
+    return this._request('rename', { oldPath, newPath, overwrite }, {
+      timeout: 10000,
+      timeoutMessage: 'Rename operation timed out',
+      errorMessage: 'Failed to rename',
+      ...requestOptions
+    });
+  }
+
+  /**
+   * Copy a file or folder on the bridge, without the data passing through
+   * the browser. Within one server the server copies the bytes itself where
+   * it supports the copy-data extension.
+   * @param {string} sourcePath - Path to copy
+   * @param {string} targetPath - Path of the copy
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {SFTPSession} [options.targetSession] - Session to copy to,
+   *   another server open on the same bridge; defaults to this one
+   * @param {boolean} [options.overwrite] - Replace an existing file, or copy
+   *   into an existing folder; without it the request fails with code EXISTS
+   * @param {Function} [options.onProgress] - Receives { files, path, bytes,
+   *   total, rate, eta }
+   * @returns {Promise} - Resolves with { sourcePath, targetPath, files,
+   *   directories, bytes, failures, skippedLinks, method }; method is
+   *   'copy-data' or 'stream', null when there were no files to copy
+   */
+  copy(sourcePath, targetPath, options = {}) {
+    const { targetSession = this, overwrite = false, onProgress, ...requestOptions } = options;
+    let tracker = null;
+
+    return this._request('copy', {
+      sourcePath,
+      targetPath,
+      targetSessionId: targetSession.id,
+      overwrite
+    }, {
+      timeout: 30000,
+      timeoutMessage: 'Copy operation timed out',
+      errorMessage: 'Failed to copy',
+      ...requestOptions,
+      onMessage: (message) => {
+        if (message.type === 'copy_progress') {
+          tracker = tracker || createProgressTracker(message.total);
+          tracker.update(message.bytes - tracker.snapshot().bytes);
+          onProgress?.({ files: message.files, path: message.path, ...tracker.snapshot() });
+        }
+      }
+    });
+  }
+
+  /**
+   * Change permissions and ownership, of one entry or of a directory and
+   * everything in it. Fields left null are not changed; symlinks inside a
+   * tree are skipped.
+   * @param {string} path - Remote path
+   * @param {Object} changes - { mode, fileMode, uid, gid }: mode (permission
+   *   bits, e.g. 0o755) applies to the path itself and, when recursive, to
+   *   every directory below it; fileMode to files below it
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {boolean} [options.recursive] - Also change everything below path
+   * @param {Function} [options.onProgress] - Receives { changed, total, path,
+   *   failures }, failures accumulating { path, error } as they happen
+   * @returns {Promise} - Resolves with { path, changed, failures, skippedLinks }
+   */
+  async setAttributes(path, changes, options = {}) {
+    const { recursive = false, onProgress, ...requestOptions } = options;
+    const { mode = null, fileMode = null, uid = null, gid = null } = changes;
+    const failures = [];
+    const data = await this._request('set_attributes', { path, mode, fileMode, uid, gid, recursive }, {
+      timeout: 30000,
+      timeoutMessage: 'Changing permissions timed out',
+      errorMessage: 'Failed to change permissions',
+      ...requestOptions,
+      onMessage: (message) => {
+        if (message.type === 'attributes_progress') {
+          failures.push(...message.failures);
+          onProgress?.({
+            changed: message.changed,
+            total: message.total,
+            path: message.path,
+            failures: [...failures]
+          });
+        }
+      }
+    });
+    return { path: data.path, changed: data.changed, failures: data.failures, skippedLinks: data.skippedLinks };
+  }
+
+  /**
+   * Look up user and group names for numeric ids on the server
+   * @param {number[]} uids - User ids
+   * @param {number[]} gids - Group ids
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @returns {Promise} - Resolves with { users, groups, supported }, names
+   *   keyed by id; supported is false when the server cannot resolve ids
+   */
+  async resolveIds(uids, gids, options = {}) {
+    const data = await this._request('resolve_ids', { uids, gids }, {
+      timeout: 10000,
+      timeoutMessage: 'Looking up owner names timed out',
+      errorMessage: 'Failed to look up owner names',
+      ...options
+    });
+    return { users: data.users, groups: data.groups, supported: data.supported };
+  }
+
+  /**
+   * Close this session
+   * @returns {Promise} - Resolves when disconnected
+   */
+  disconnect() {
+    return this.client.disconnect(this.id);
+  }
+
+  /**
+   * Send a request scoped to this session
+   * @private
+   */
+  _request(type, payload, options) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error('Not connected to any SFTP server'));
+    }
+    return this.client.request(type, { sessionId: this.id, ...payload }, options);
+  }
+}
+
+export default SFTPSession;
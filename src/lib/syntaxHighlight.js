@@ -0,0 +1,291 @@
+/**
+ * A small tokenizer for the editor's syntax highlighting. Each language is a
+ * list of token rules tried in order at every position; what no rule matches
+ * stays plain text. It colours, it does not parse, so an odd construct may
+ * be coloured wrongly but never breaks the text.
+ */
+
+const C_LIKE_KEYWORDS = [
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+  'return', 'goto', 'struct', 'union', 'enum', 'typedef', 'const', 'static', 'extern',
+  'void', 'int', 'char', 'long', 'short', 'float', 'double', 'unsigned', 'signed', 'bool',
+  'true', 'false', 'null', 'nullptr', 'class', 'public', 'private', 'protected', 'new',
+  'delete', 'this', 'try', 'catch', 'throw', 'throws', 'import', 'package', 'interface',
+  'extends', 'implements', 'final', 'abstract', 'namespace', 'using', 'template', 'virtual',
+  'func', 'go', 'defer', 'chan', 'map', 'range', 'type', 'var', 'fn', 'let', 'mut', 'impl',
+  'trait', 'pub', 'use', 'mod', 'match', 'self', 'Self', 'where', 'loop', 'in', 'as',
+  'function', 'echo', 'foreach', 'val', 'fun', 'when', 'object', 'override', 'async', 'await'
+];
+
+const RULES = {
+  comment: { line: (start) => `${start}.*`, block: (open, close) => `${open}[\\s\\S]*?(?:${close}|$)` },
+  doubleQuoted: '"(?:[^"\\\\\\n]|\\\\.)*"?',
+  singleQuoted: "'(?:[^'\\\\\\n]|\\\\.)*'?",
+  number: '\\b(?:0[xX][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b',
+  word: '\\b[A-Za-z_$][\\w$]*\\b'
+};
+
+// type, then the pattern; 'word' tokens become keywords when listed
+const LANGUAGES = {
+  javascript: {
+    label: 'JavaScript',
+    extensions: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx'],
+    rules: [
+      ['comment', RULES.comment.line('\\/\\/')],
+      ['comment', RULES.comment.block('\\/\\*', '\\*\\/')],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['string', '`(?:[^`\\\\]|\\\\[\\s\\S])*`?'],
+      ['number', RULES.number],
+      ['word', RULES.word]
+    ],
+    keywords: [
+      'const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do', 'switch',
+      'case', 'default', 'break', 'continue', 'new', 'delete', 'typeof', 'instanceof', 'in', 'of',
+      'class', 'extends', 'super', 'this', 'import', 'export', 'from', 'as', 'async', 'await',
+      'yield', 'try', 'catch', 'finally', 'throw', 'true', 'false', 'null', 'undefined', 'void',
+      'interface', 'type', 'enum', 'implements', 'readonly', 'public', 'private', 'protected', 'static'
+    ]
+  },
+  json: {
+    label: 'JSON',
+    extensions: ['json', 'jsonc', 'webmanifest'],
+    rules: [
+      ['comment', RULES.comment.line('\\/\\/')],
+      ['property', '"(?:[^"\\\\\\n]|\\\\.)*"(?=\\s*:)'],
+      ['string', RULES.doubleQuoted],
+      ['number', '-?' + RULES.number],
+      ['word', RULES.word]
+    ],
+    keywords: ['true', 'false', 'null']
+  },
+  python: {
+    label: 'Python',
+    extensions: ['py', 'pyw'],
+    rules: [
+      ['comment', RULES.comment.line('#')],
+      ['string', '(?:[rRbBuUfF]{1,2})?(?:"""[\\s\\S]*?(?:"""|$)|\'\'\'[\\s\\S]*?(?:\'\'\'|$))'],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['number', RULES.number],
+      ['variable', '@[\\w.]+'],
+      ['word', RULES.word]
+    ],
+    keywords: [
+      'def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'break', 'continue', 'pass',
+      'import', 'from', 'as', 'with', 'try', 'except', 'finally', 'raise', 'lambda', 'yield',
+      'global', 'nonlocal', 'assert', 'del', 'in', 'is', 'not', 'and', 'or', 'True', 'False',
+      'None', 'async', 'await', 'self'
+    ]
+  },
+  shell: {
+    label: 'Shell',
+    extensions: ['sh', 'bash', 'zsh', 'ksh', 'profile', 'bashrc', 'zshrc'],
+    rules: [
+      ['comment', '(?:^|(?<=\\s))#.*'],
+      ['string', RULES.doubleQuoted],
+      ['string', "'[^']*'?"],
+      ['variable', '\\$(?:\\{[^}\\n]*\\}?|\\w+|[@#?$!*-])'],
+      ['number', RULES.number],
+      ['word', '\\b[A-Za-z_][\\w-]*\\b']
+    ],
+    keywords: [
+      'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac',
+      'in', 'function', 'return', 'local', 'export', 'readonly', 'set', 'unset', 'shift', 'exit',
+      'echo', 'source', 'alias', 'trap', 'eval', 'exec', 'cd', 'test'
+    ]
+  },
+  css: {
+    label: 'CSS',
+    extensions: ['css', 'scss', 'less'],
+    rules: [
+      ['comment', RULES.comment.block('\\/\\*', '\\*\\/')],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['property', '[\\w-]+(?=\\s*:[^{};\\n]*[;}\\n])'],
+      ['number', '#[\\da-fA-F]{3,8}\\b|-?\\b\\d+(?:\\.\\d+)?(?:[a-z%]+)?'],
+      ['keyword', '@[\\w-]+|!important'],
+      ['variable', '(?:--|\\$)[\\w-]+']
+    ]
+  },
+  markup: {
+    label: 'HTML/XML',
+    extensions: ['html', 'htm', 'xhtml', 'xml', 'svg', 'vue', 'plist', 'xsd', 'xsl'],
+    rules: [
+      ['comment', '<!--[\\s\\S]*?(?:-->|$)'],
+      ['keyword', '<!\\w+[^>]*>|<\\?[\\s\\S]*?\\?>'],
+      ['tag', '<\\/?[\\w:.-]+|\\/?>'],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['property', '\\b[\\w:-]+(?==)'],
+      ['variable', '&#?\\w+;']
+    ]
+  },
+  yaml: {
+    label: 'YAML',
+    extensions: ['yaml', 'yml'],
+    rules: [
+      ['comment', '(?:^|(?<=\\s))#.*'],
+      ['property', '^[ \\t]*-?[ \\t]*[\\w.\\/-]+(?=[ \\t]*:(?:\\s|$))'],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['keyword', '^---$|^\\.\\.\\.$|[&*][\\w-]+|!!?\\w+'],
+      ['number', RULES.number],
+      ['word', RULES.word]
+    ],
+    keywords: ['true', 'false', 'null', 'yes', 'no', 'on', 'off']
+  },
+  ini: {
+    label: 'INI/Config',
+    extensions: ['ini', 'conf', 'cfg', 'cnf', 'toml', 'properties', 'env', 'service', 'desktop'],
+    rules: [
+      ['comment', '^[ \\t]*[#;].*'],
+      ['keyword', '^[ \\t]*\\[[^\\]\\n]*\\]?'],
+      ['property', '^[ \\t]*[\\w.-]+(?=[ \\t]*[=:])'],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['number', RULES.number]
+    ]
+  },
+  clike: {
+    label: 'C-like',
+    extensions: [
+      'c', 'h', 'cc', 'cpp', 'cxx', 'hpp', 'java', 'go', 'rs', 'cs', 'php', 'kt', 'kts',
+      'swift', 'scala', 'dart', 'groovy', 'gradle'
+    ],
+    rules: [
+      ['comment', RULES.comment.line('\\/\\/')],
+      ['comment', RULES.comment.block('\\/\\*', '\\*\\/')],
+      ['keyword', '^[ \\t]*#[ \\t]*\\w+'],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['variable', '\\$\\w+'],
+      ['number', RULES.number],
+      ['word', RULES.word]
+    ],
+    keywords: C_LIKE_KEYWORDS
+  },
+  sql: {
+    label: 'SQL',
+    extensions: ['sql'],
+    rules: [
+      ['comment', RULES.comment.line('--')],
+      ['comment', RULES.comment.block('\\/\\*', '\\*\\/')],
+      ['string', "'(?:[^']|'')*'?"],
+      ['property', '"[^"\\n]*"?|`[^`\\n]*`?'],
+      ['number', RULES.number],
+      ['word', RULES.word]
+    ],
+    keywords: [
+      'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set',
+      'delete', 'create', 'table', 'drop', 'alter', 'add', 'index', 'view', 'join', 'left', 'right',
+      'inner', 'outer', 'on', 'as', 'group', 'by', 'order', 'having', 'limit', 'offset', 'union',
+      'all', 'distinct', 'null', 'is', 'in', 'like', 'between', 'exists', 'primary', 'key',
+      'foreign', 'references', 'default', 'case', 'when', 'then', 'else', 'end', 'begin',
+      'commit', 'rollback', 'grant', 'revoke', 'true', 'false'
+    ],
+    caseInsensitive: true
+  },
+  markdown: {
+    label: 'Markdown',
+    extensions: ['md', 'markdown'],
+    rules: [
+      ['keyword', '^#{1,6}[ \\t].*'],
+      ['string', '^```[\\s\\S]*?(?:^```|$(?![\\s\\S]))|`[^`\\n]*`'],
+      ['tag', '\\[[^\\]\\n]*\\]\\([^)\\n]*\\)'],
+      ['variable', '^[ \\t]*(?:[-*+]|\\d+\\.)(?=[ \\t])'],
+      ['comment', '^>.*']
+    ]
+  },
+  dockerfile: {
+    label: 'Dockerfile',
+    extensions: ['dockerfile', 'containerfile'],
+    rules: [
+      ['comment', '^[ \\t]*#.*'],
+      ['keyword', '^[ \\t]*[A-Za-z]+(?=\\s)'],
+      ['string', RULES.doubleQuoted],
+      ['string', RULES.singleQuoted],
+      ['variable', '\\$(?:\\{[^}\\n]*\\}?|\\w+)']
+    ]
+  }
+};
+
+// Compiled once per language: one regex with a group per rule, so plain
+// text between tokens is skipped in a single search
+const compiled = new Map();
+const compile = (language) => {
+  if (!compiled.has(language)) {
+    const { rules, keywords = [], caseInsensitive = false } = LANGUAGES[language];
+    compiled.set(language, {
+      pattern: new RegExp(rules.map(([, source]) => `(${source})`).join('|'), 'gm'),
+      types: rules.map(([type]) => type),
+      keywords: new Set(caseInsensitive ? keywords.map(word => word.toLowerCase()) : keywords),
+      caseInsensitive
+    });
+  }
+  return compiled.get(language);
+};
+
+/**
+ * Languages offered in the editor
+ * @type {Array<{ value: string, label: string }>}
+ */
+export const LANGUAGE_OPTIONS = [
+  { value: 'plain', label: 'Plain text' },
+  ...Object.entries(LANGUAGES).map(([value, { label }]) => ({ value, label }))
+];
+
+/**
+ * Language to highlight a file as, chosen by its name and extension
+ * @param {string} fileName - File name
+ * @returns {string} - A LANGUAGES key, or 'plain'
+ */
+export const languageForName = (fileName) => {
+  // Names without an extension (Dockerfile) and dotfiles (.bashrc) are
+  // looked up whole
+  const extension = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+  const found = Object.entries(LANGUAGES).find(([, { extensions }]) => extensions.includes(extension));
+  return found ? found[0] : 'plain';
+};
+
+/**
+ * Split text into tokens for colouring
+ * @param {string} text - Text to highlight
+ * @param {string} language - A key from languageForName
+ * @returns {Array<{ type: string|null, text: string }>} - type is comment,
+ *   string, number, keyword, property, tag, variable or null for plain text
+ */
+export const tokenize = (text, language) => {
+  if (!LANGUAGES[language]) {
+    return [{ type: null, text }];
+  }
+
+  const { pattern, types, keywords, caseInsensitive } = compile(language);
+  const tokens = [];
+  let position = 0;
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0] === '') {
+      // A rule matching nothing would loop forever
+      pattern.lastIndex += 1;
+      continue;
+    }
+    if (match.index > position) {
+      tokens.push({ type: null, text: text.slice(position, match.index) });
+    }
+    const rule = match.findIndex((group, i) => i > 0 && group !== undefined) - 1;
+    let type = types[rule];
+    if (type === 'word') {
+      type = keywords.has(caseInsensitive ? match[0].toLowerCase() : match[0]) ? 'keyword' : null;
+    }
+    tokens.push({ type, text: match[0] });
+    position = match.index + match[0].length;
+  }
+
+  if (position < text.length) {
+    tokens.push({ type: null, text: text.slice(position) });
+  }
+  return tokens;
+};
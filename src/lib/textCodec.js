@@ -0,0 +1,148 @@
+/**
+ * Decoding and encoding of text files for the editor, keeping their
+ * encoding, byte order mark and line endings as they were
+ */
+
+export const ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+  { value: 'windows-1252', label: 'Western (Windows-1252)' }
+];
+
+export const LINE_ENDINGS = [
+  { value: '\n', label: 'LF' },
+  { value: '\r\n', label: 'CRLF' },
+  { value: '\r', label: 'CR' }
+];
+
+const BOMS = {
+  'utf-8': [0xef, 0xbb, 0xbf],
+  'utf-16le': [0xff, 0xfe],
+  'utf-16be': [0xfe, 0xff]
+};
+
+// Bytes checked for NULs when deciding whether a file is text at all
+const BINARY_SAMPLE = 8192;
+
+const startsWith = (bytes, prefix) => prefix.every((byte, i) => bytes[i] === byte);
+
+// Windows-1252 puts printable characters where Latin-1 has control codes;
+// the reverse table is built from the browser's own decoder
+let windows1252 = null;
+const windows1252Bytes = () => {
+  if (!windows1252) {
+    windows1252 = new Map();
+    const decoder = new TextDecoder('windows-1252');
+    for (let byte = 0x80; byte < 0xa0; byte++) {
+      windows1252.set(decoder.decode(new Uint8Array([byte])).charCodeAt(0), byte);
+    }
+  }
+  return windows1252;
+};
+
+/**
+ * Whether bytes look like a binary file rather than text
+ * @param {Uint8Array} bytes - File content, or its beginning
+ * @returns {boolean}
+ */
+export const looksBinary = (bytes) => {
+  if (startsWith(bytes, BOMS['utf-16le']) || startsWith(bytes, BOMS['utf-16be'])) {
+    return false;
+  }
+  return bytes.subarray(0, BINARY_SAMPLE).includes(0);
+};
+
+/**
+ * Line ending used by most lines of a text
+ * @param {string} text - Decoded text
+ * @returns {{ lineEnding: string, mixed: boolean }} - LF for texts without
+ *   line breaks; mixed when more than one kind occurs
+ */
+export const detectLineEnding = (text) => {
+  const counts = { '\r\n': 0, '\n': 0, '\r': 0 };
+  for (const match of text.matchAll(/\r\n|\n|\r/g)) {
+    counts[match[0]] += 1;
+  }
+  const used = Object.keys(counts).filter(ending => counts[ending] > 0);
+  const lineEnding = used.reduce((best, ending) => (counts[ending] > counts[best] ? ending : best), '\n');
+  return { lineEnding, mixed: used.length > 1 };
+};
+
+/**
+ * Decode a text file, detecting its encoding and line endings
+ * @param {ArrayBuffer|Uint8Array} buffer - File content
+ * @returns {Object} - { text, encoding, bom, lineEnding, mixedLineEndings },
+ *   text using \n for every line break
+ */
+export const decodeText = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  let encoding = Object.keys(BOMS).find(name => startsWith(bytes, BOMS[name]));
+  const bom = Boolean(encoding);
+  let text;
+  if (encoding) {
+    text = new TextDecoder(encoding).decode(bytes.subarray(BOMS[encoding].length));
+  } else {
+    // Anything that is not valid UTF-8 is taken as Windows-1252, which
+    // decodes every byte
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      encoding = 'utf-8';
+    } catch {
+      text = new TextDecoder('windows-1252').decode(bytes);
+      encoding = 'windows-1252';
+    }
+  }
+
+  const { lineEnding, mixed } = detectLineEnding(text);
+  return {
+    text: text.replace(/\r\n?/g, '\n'),
+    encoding,
+    bom,
+    lineEnding,
+    mixedLineEndings: mixed
+  };
+};
+
+/**
+ * Encode editor text for saving
+ * @param {string} text - Text using \n for line breaks
+ * @param {Object} format - { encoding, bom, lineEnding } as from decodeText
+ * @returns {Uint8Array}
+ * @throws {Error} When the text has characters the encoding cannot hold
+ */
+export const encodeText = (text, { encoding, bom = false, lineEnding = '\n' }) => {
+  const content = lineEnding === '\n' ? text : text.replace(/\n/g, lineEnding);
+  const prefix = bom && BOMS[encoding] ? BOMS[encoding] : [];
+
+  let body;
+  if (encoding === 'utf-8') {
+    body = new TextEncoder().encode(content);
+  } else if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+    body = new Uint8Array(content.length * 2);
+    const view = new DataView(body.buffer);
+    for (let i = 0; i < content.length; i++) {
+      view.setUint16(i * 2, content.charCodeAt(i), encoding === 'utf-16le');
+    }
+  } else if (encoding === 'windows-1252') {
+    const special = windows1252Bytes();
+    body = new Uint8Array(content.length);
+    for (let i = 0; i < content.length; i++) {
+      const code = content.charCodeAt(i);
+      const byte = special.get(code) ?? (code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : null);
+      if (byte === null) {
+        throw new Error(`"${content[i]}" on line ${content.slice(0, i).split(lineEnding).length} cannot be saved as Windows-1252; choose UTF-8 instead`);
+      }
+      body[i] = byte;
+    }
+  } else {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+
+  if (prefix.length === 0) return body;
+  const bytes = new Uint8Array(prefix.length + body.length);
+  bytes.set(prefix);
+  bytes.set(body, prefix.length);
+  return bytes;
+};
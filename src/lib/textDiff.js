@@ -0,0 +1,210 @@
+/**
+ * Line diffs and three-way merges for the editor's conflict handling
+ */
+
+// Beyond this many differing lines the diff stops looking for the shortest
+// edit and reports the remaining middle as replaced wholesale
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines; a final line break does not start another line
+ * @param {string} text - Text using \n for line breaks
+ * @returns {string[]}
+ */
+export const splitLines = (text) => {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Shortest edit script between two line arrays (Myers' algorithm), as a
+// list of ['equal' | 'delete' | 'insert', line]
+const shortestEdit = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= max && found < 0; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+
+  if (found < 0) {
+    return [...a.map(line => ['delete', line]), ...b.map(line => ['insert', line])];
+  }
+
+  // Walk back through the saved frontiers to recover the path
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      edits.push(['equal', a[--x]]);
+      y--;
+    }
+    if (x === prevX) {
+      edits.push(['insert', b[--y]]);
+    } else {
+      edits.push(['delete', a[--x]]);
+    }
+  }
+  while (x > 0) {
+    edits.push(['equal', a[--x]]);
+  }
+  return edits.reverse();
+};
+
+/**
+ * Line by line differences between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{ type: string, lines: string[] }>} - Runs of equal,
+ *   delete and insert lines that turn oldText into newText
+ */
+export const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Lines shared at both ends are set aside so the search only covers
+  // the part that changed
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start
+    && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const edits = [
+    ...a.slice(0, start).map(line => ['equal', line]),
+    ...shortestEdit(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+    ...a.slice(a.length - end).map(line => ['equal', line])
+  ];
+
+  const runs = [];
+  for (const [type, line] of edits) {
+    const last = runs[runs.length - 1];
+    if (last?.type === type) {
+      last.lines.push(line);
+    } else {
+      runs.push({ type, lines: [line] });
+    }
+  }
+  return runs;
+};
+
+// Changed regions of a diff in terms of the original: lines start to end
+// of it are replaced by lines
+const hunks = (runs, side) => {
+  const result = [];
+  let position = 0;
+  let current = null;
+  for (const { type, lines } of runs) {
+    if (type === 'equal') {
+      position += lines.length;
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { side, start: position, end: position, lines: [] };
+      result.push(current);
+    }
+    if (type === 'delete') {
+      position += lines.length;
+      current.end = position;
+    } else {
+      current.lines.push(...lines);
+    }
+  }
+  return result;
+};
+
+/**
+ * Merge two edited versions of a common original. Changes made on only one
+ * side are taken as they are; where both sides changed the same lines
+ * differently, both versions are kept between conflict markers.
+ * @param {string} base - The original both versions started from
+ * @param {string} mine - One edited version
+ * @param {string} theirs - The other edited version
+ * @param {Object} [labels] - { mine, theirs } names shown on the markers
+ * @returns {{ text: string, conflicts: number }}
+ */
+export const mergeTexts = (base, mine, theirs, labels = { mine: 'mine', theirs: 'theirs' }) => {
+  const baseLines = splitLines(base);
+  const changes = [
+    ...hunks(diffLines(base, mine), 'mine'),
+    ...hunks(diffLines(base, theirs), 'theirs')
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Changes that overlap or touch are resolved together
+  const groups = [];
+  for (const change of changes) {
+    const group = groups[groups.length - 1];
+    if (group && change.start <= group.end) {
+      group.changes.push(change);
+      group.end = Math.max(group.end, change.end);
+    } else {
+      groups.push({ start: change.start, end: change.end, changes: [change] });
+    }
+  }
+
+  // One side's version of the original lines a group covers
+  const sideLines = (group, side) => {
+    const lines = [];
+    let position = group.start;
+    for (const change of group.changes.filter(item => item.side === side)) {
+      lines.push(...baseLines.slice(position, change.start), ...change.lines);
+      position = change.end;
+    }
+    lines.push(...baseLines.slice(position, group.end));
+    return lines;
+  };
+
+  const output = [];
+  let position = 0;
+  let conflicts = 0;
+  for (const group of groups) {
+    output.push(...baseLines.slice(position, group.start));
+    const mineLines = sideLines(group, 'mine');
+    const theirLines = sideLines(group, 'theirs');
+    const sides = new Set(group.changes.map(change => change.side));
+
+    if (sides.size === 1) {
+      output.push(...(sides.has('mine') ? mineLines : theirLines));
+    } else if (mineLines.join('\n') === theirLines.join('\n')) {
+      output.push(...mineLines);
+    } else {
+      conflicts += 1;
+      output.push(`<<<<<<< ${labels.mine}`, ...mineLines, '=======', ...theirLines, `>>>>>>> ${labels.theirs}`);
+    }
+    position = group.end;
+  }
+  output.push(...baseLines.slice(position));
+
+  // The final line break follows whichever side changed it
+  const endsWithBreak = (text) => text.endsWith('\n');
+  const finalBreak = endsWithBreak(mine) === endsWithBreak(base) ? endsWithBreak(theirs) : endsWithBreak(mine);
+  return { text: output.join('\n') + (finalBreak && output.length > 0 ? '\n' : ''), conflicts };
+};
@@ -0,0 +1,90 @@
+/**
+ * Progress bookkeeping shared by uploads and downloads
+ */
+
+// Minimum time between progress notifications
+const REPORT_INTERVAL = 200;
+
+// Weight of the newest sample in the smoothed transfer rate
+const RATE_SMOOTHING = 0.3;
+
+/**
+ * Track bytes transferred and derive rate and ETA
+ * @param {number} total - Expected size in bytes
+ * @param {number} [initialBytes] - Bytes already transferred before tracking
+ * @returns {Object} - Tracker with update() and snapshot()
+ */
+export const createProgressTracker = (total, initialBytes = 0) => {
+  let bytes = initialBytes;
+  let rate = 0;
+  let lastSampleAt = Date.now();
+  let lastSampleBytes = bytes;
+  let lastReportAt = 0;
+
+  return {
+    /**
+     * Record transferred bytes
+     * @param {number} count - Bytes transferred since the last update
+     * @returns {boolean} - Whether enough time passed to report progress
+     */
+    update(count) {
+      bytes += count;
+
+      const now = Date.now();
+      const elapsed = now - lastSampleAt;
+      if (elapsed >= REPORT_INTERVAL) {
+        const sample = ((bytes - lastSampleBytes) * 1000) / elapsed;
+        rate = rate ? rate + RATE_SMOOTHING * (sample - rate) : sample;
+        lastSampleAt = now;
+        lastSampleBytes = bytes;
+      }
+
+      if (now - lastReportAt >= REPORT_INTERVAL || bytes >= total) {
+        lastReportAt = now;
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Current progress
+     * @returns {Object} - { bytes, total, rate, eta } with rate in bytes per
+     *   second and eta in seconds (null while unknown)
+     */
+    snapshot() {
+      const remaining = Math.max(total - bytes, 0);
+      return {
+        bytes,
+        total,
+        rate,
+        eta: rate > 0 ? remaining / rate : remaining === 0 ? 0 : null
+      };
+    }
+  };
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+
+  return (bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1) + ' ' + units[i];
+};
+
+/**
+ * Format a duration in seconds for display
+ * @param {number|null} seconds - Duration
+ * @returns {string}
+ */
+export const formatDuration = (seconds) => {
+  if (seconds === null || !isFinite(seconds)) return '--';
+  if (seconds < 60) return `${Math.ceil(seconds)}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${Math.ceil(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
@@ -0,0 +1,440 @@
+/**
+ * Queue that runs uploads and downloads with limited parallelism
+ *
+ * Items move through queued -> active -> done, and can also be paused,
+ * cancelled, waiting to retry after a transient failure, or failed. Every
+ * attempt resumes from the bytes already transferred, so pausing and
+ * retrying never start a file over.
+ */
+
+import sftpClient from './sftpClient';
+import { saveBlob } from './fileSaver';
+import { getTransferKey, clearPartialDownload, clearPartialUpload } from './transferResume';
+
+const SETTINGS_STORAGE_KEY = 'sftp-transfer-settings';
+
+const DEFAULT_SETTINGS = {
+  concurrency: 2,
+  maxRetries: 3,
+  retryDelay: 1000
+};
+
+// Upper bound for the exponential retry backoff
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Whether a failure is worth retrying automatically
+ * @param {Error} error - Failure
+ * @returns {boolean}
+ */
+export const isTransientError = (error) => {
+  const message = error?.message || '';
+  if (/permission denied|no such file|not a directory|invalid content|cancelled/i.test(message)) {
+    return false;
+  }
+  return /timed out|closed|connection|not connected|no response|reset|econn|etimedout|incomplete/i.test(message);
+};
+
+class TransferQueue {
+  constructor() {
+    this.items = [];
+    this.nextId = 1;
+    this.settings = { ...DEFAULT_SETTINGS, ...this._loadSettings() };
+    this.eventListeners = {};
+  }
+
+  /**
+   * Add a transfer to the queue
+   * @param {Object} transfer - Transfer details
+   * @param {string} transfer.direction - 'upload' or 'download'
+   * @param {SFTPSession} transfer.session - Session the transfer belongs to
+   * @param {string} transfer.remotePath - Remote file path
+   * @param {string} [transfer.name] - Display name
+   * @param {File|Blob} [transfer.file] - Local file for uploads
+   * @param {FileSystemWritableFileStream} [transfer.writable] - Download target
+   * @param {Function} [transfer.openWritable] - Opens the download target
+   *   when the transfer starts, for downloads queued many at a time
+   * @returns {string} - Id of the new item, or of an unfinished transfer of
+   *   the same file already in the queue
+   */
+  add(transfer) {
+    const { session } = transfer;
+
+    // Partial data is tracked per server and path, so one transfer per file
+    const existing = this.items.find((item) => item.direction === transfer.direction
+      && item.connectionKey === session.connectionKey
+      && item.remotePath === transfer.remotePath
+      && !this._isFinished(item));
+    if (existing) {
+      return existing.id;
+    }
+
+    const item = {
+      id: String(this.nextId++),
+      direction: transfer.direction,
+      sessionId: session.id,
+      connectionKey: session.connectionKey,
+      serverName: session.connection.name,
+      name: transfer.name || transfer.remotePath.split('/').pop(),
+      remotePath: transfer.remotePath,
+      file: transfer.file || null,
+      writable: transfer.writable || null,
+      openWritable: transfer.openWritable || null,
+      status: 'queued',
+      progress: null,
+      error: null,
+      attempts: 0,
+      retryAt: null,
+      controller: null,
+      retryTimer: null,
+      // Whether an attempt got as far as opening the remote file
+      openedRemote: false,
+      addedAt: Date.now()
+    };
+
+    this.items.push(item);
+    this._emitChange();
+    this._schedule();
+    return item.id;
+  }
+
+  /**
+   * Pause a queued or running transfer
+   * @param {string} id - Item id
+   */
+  pause(id) {
+    const item = this._getItem(id);
+    if (!item || !['queued', 'active', 'retrying'].includes(item.status)) return;
+
+    this._clearRetry(item);
+    item.status = 'paused';
+    item.controller?.abort();
+    this._emitChange();
+  }
+
+  /**
+   * Put a paused transfer back in the queue
+   * @param {string} id - Item id
+   */
+  resume(id) {
+    const item = this._getItem(id);
+    if (!item || item.status !== 'paused') return;
+
+    item.status = 'queued';
+    this._emitChange();
+    this._schedule();
+  }
+
+  /**
+   * Retry a failed transfer, resetting its attempt count
+   * @param {string} id - Item id
+   */
+  retry(id) {
+    const item = this._getItem(id);
+    if (!item || item.status !== 'error') return;
+
+    item.status = 'queued';
+    item.error = null;
+    item.attempts = 0;
+    this._emitChange();
+    this._schedule();
+  }
+
+  /**
+   * Cancel a transfer and discard any partial data held for it
+   * @param {string} id - Item id
+   */
+  cancel(id) {
+    const item = this._getItem(id);
+    if (!item || ['done', 'cancelled'].includes(item.status)) return;
+
+    this._clearRetry(item);
+    const wasRunning = Boolean(item.controller);
+    item.status = 'cancelled';
+    item.controller?.abort();
+    this._emitChange();
+
+    // A running attempt discards its own leftovers once it has stopped
+    if (!wasRunning) {
+      this._discard(item, { remote: true });
+    }
+  }
+
+  /**
+   * Remove a finished transfer from the list
+   * @param {string} id - Item id
+   */
+  remove(id) {
+    const item = this._getItem(id);
+    if (!item || !this._isFinished(item)) return;
+
+    if (item.status === 'error') {
+      this._discard(item);
+    }
+    this.items = this.items.filter((entry) => entry !== item);
+    this._emitChange();
+  }
+
+  pauseAll() {
+    this.items.forEach((item) => this.pause(item.id));
+  }
+
+  resumeAll() {
+    this.items.forEach((item) => this.resume(item.id));
+  }
+
+  cancelAll() {
+    this.items.forEach((item) => this.cancel(item.id));
+  }
+
+  clearFinished() {
+    this.items.filter((item) => this._isFinished(item)).forEach((item) => this.remove(item.id));
+  }
+
+  /**
+   * Change queue settings and remember them
+   * @param {Object} settings - Any of { concurrency, maxRetries, retryDelay }
+   */
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    this._emitChange();
+    this._schedule();
+  }
+
+  /**
+   * Snapshot of all items for rendering
+   * @returns {Array}
+   */
+  getItems() {
+    return this.items.map((item) => ({ ...item }));
+  }
+
+  /**
+   * Add event listener ('change' or 'complete')
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event] = this.eventListeners[event].filter(
+        (cb) => cb !== callback
+      );
+    }
+  }
+
+  /**
+   * Start queued items while there is capacity
+   * @private
+   */
+  _schedule() {
+    let active = this.items.filter((item) => item.status === 'active').length;
+
+    for (const item of this.items) {
+      if (active >= this.settings.concurrency) break;
+      // A queued item whose paused attempt has not stopped yet starts once
+      // it has, so two attempts never run at once
+      if (item.status === 'queued' && !item.controller) {
+        active++;
+        this._run(item);
+      }
+    }
+  }
+
+  /**
+   * Run one attempt of a transfer
+   * @param {Object} item - Queue item
+   * @private
+   */
+  async _run(item) {
+    const controller = new AbortController();
+    item.controller = controller;
+    item.status = 'active';
+    item.error = null;
+    item.retryAt = null;
+    item.attempts++;
+    this._emitChange();
+
+    const options = {
+      resume: true,
+      signal: controller.signal,
+      onProgress: (progress) => {
+        item.progress = progress;
+        this._emitChange();
+      }
+    };
+
+    try {
+      // Prefer the session the transfer was queued on; after a reconnect
+      // any session to the same server can pick it up
+      const session = sftpClient.getSession(item.sessionId)
+        || sftpClient.findSession(item.connectionKey);
+      if (!session) {
+        throw new Error('Not connected to any SFTP server');
+      }
+      item.sessionId = session.id;
+
+      if (item.direction === 'upload') {
+        await session.uploadFile(item.remotePath, item.file, {
+          ...options,
+          onOpen: () => {
+            item.openedRemote = true;
+          }
+        });
+      } else {
+        if (!item.writable && item.openWritable) {
+          item.writable = await item.openWritable();
+        }
+        const result = await session.downloadFile(item.remotePath, {
+          ...options,
+          writable: item.writable
+        });
+        if (result.blob) {
+          saveBlob(result.blob, item.name);
+        }
+      }
+
+      item.status = 'done';
+      this._emitEvent('complete', { ...item });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Paused items keep their partial data (staying queued if resumed
+        // meanwhile), cancelled ones drop it
+        if (item.status === 'cancelled') {
+          await this._discard(item, { remote: true });
+        } else if (item.status === 'active') {
+          item.status = 'cancelled';
+        }
+      } else if (isTransientError(error) && item.attempts <= this.settings.maxRetries) {
+        this._scheduleRetry(item, error);
+      } else {
+        console.error('Transfer error:', error);
+        item.status = 'error';
+        item.error = error.message || 'Transfer failed';
+      }
+    } finally {
+      item.controller = null;
+      this._emitChange();
+      this._schedule();
+    }
+  }
+
+  /**
+   * Queue another attempt after an exponential backoff
+   * @private
+   */
+  _scheduleRetry(item, error) {
+    const delay = Math.min(
+      this.settings.retryDelay * Math.pow(2, item.attempts - 1),
+      MAX_RETRY_DELAY
+    );
+
+    item.status = 'retrying';
+    item.error = error.message;
+    item.retryAt = Date.now() + delay;
+    item.retryTimer = setTimeout(() => {
+      item.retryTimer = null;
+      if (item.status !== 'retrying') return;
+      item.status = 'queued';
+      this._emitChange();
+      this._schedule();
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  _clearRetry(item) {
+    clearTimeout(item.retryTimer);
+    item.retryTimer = null;
+    item.retryAt = null;
+  }
+
+  /**
+   * Drop partial data held for an item. With remote, an upload that opened
+   * the remote file also deletes the partial file it left there; a file
+   * this item never opened is not touched.
+   * @private
+   */
+  async _discard(item, { remote = false } = {}) {
+    const key = getTransferKey(item.connectionKey, item.remotePath);
+
+    if (item.direction === 'upload') {
+      clearPartialUpload(key);
+      if (!remote || !item.openedRemote) return;
+      const session = sftpClient.getSession(item.sessionId)
+        || sftpClient.findSession(item.connectionKey);
+      await session?.deleteFile(item.remotePath).catch(() => {});
+      return;
+    }
+
+    await clearPartialDownload(key);
+    await Promise.resolve(item.writable?.abort?.()).catch(() => {});
+  }
+
+  /**
+   * @private
+   */
+  _isFinished(item) {
+    return ['done', 'cancelled', 'error'].includes(item.status);
+  }
+
+  /**
+   * @private
+   */
+  _getItem(id) {
+    return this.items.find((item) => item.id === id);
+  }
+
+  /**
+   * @private
+   */
+  _loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  _emitChange() {
+    this._emitEvent('change', this.getItems());
+  }
+
+  /**
+   * Emit event to listeners
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @private
+   */
+  _emitEvent(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach((callback) => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} event handler:`, error);
+        }
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const transferQueue = new TransferQueue();
+export default transferQueue;
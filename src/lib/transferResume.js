@@ -0,0 +1,133 @@
+/**
+ * Bookkeeping for partial transfers so a retry continues where it stopped
+ *
+ * Uploads are remembered in localStorage, since the bytes already written
+ * live on the server and only the identity of the local file and the count
+ * of acknowledged bytes are needed to pick up again after a reload. The
+ * acknowledged count matters: SFTP writes can complete out of order, so the
+ * remote file size may include bytes past a gap that was never written.
+ * Downloads keep their received data (or the open file on disk) in memory
+ * for the lifetime of the page.
+ */
+
+const UPLOADS_STORAGE_KEY = 'sftp-partial-uploads';
+
+const partialDownloads = new Map();
+
+const readUploads = () => {
+  try {
+    return JSON.parse(localStorage.getItem(UPLOADS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeUploads = (uploads) => {
+  localStorage.setItem(UPLOADS_STORAGE_KEY, JSON.stringify(uploads));
+};
+
+/**
+ * Build the key a partial transfer is remembered under
+ * @param {string} connectionKey - Identifies the server (user@host:port)
+ * @param {string} remotePath - Remote file path
+ * @returns {string}
+ */
+export const getTransferKey = (connectionKey, remotePath) => `${connectionKey}:${remotePath}`;
+
+/**
+ * Find a remembered upload of the same local file
+ * @param {string} key - Transfer key
+ * @param {Blob|File} file - Local file being uploaded
+ * @returns {Object|null} - Stored record, or null when none matches
+ */
+export const getPartialUpload = (key, file) => {
+  const record = readUploads()[key];
+  if (!record) return null;
+
+  // Only resume onto bytes that came from this exact local file
+  const matches = record.size === file.size
+    && record.name === (file.name ?? null)
+    && record.lastModified === (file.lastModified ?? null);
+  return matches ? record : null;
+};
+
+/**
+ * Remember how far an upload of a local file has got
+ * @param {string} key - Transfer key
+ * @param {Blob|File} file - Local file being uploaded
+ * @param {number} bytes - Bytes the bridge has acknowledged as written
+ */
+export const savePartialUpload = (key, file, bytes) => {
+  const uploads = readUploads();
+  uploads[key] = {
+    name: file.name ?? null,
+    size: file.size,
+    lastModified: file.lastModified ?? null,
+    bytes,
+    updatedAt: new Date().toISOString()
+  };
+  writeUploads(uploads);
+};
+
+/**
+ * Forget a remembered upload
+ * @param {string} key - Transfer key
+ */
+export const clearPartialUpload = (key) => {
+  const uploads = readUploads();
+  if (uploads[key]) {
+    delete uploads[key];
+    writeUploads(uploads);
+  }
+};
+
+/**
+ * Get the partial download for a file, creating an empty one if needed
+ * @param {string} key - Transfer key
+ * @returns {Object} - { bytes, size, mtime, chunks, writer }
+ */
+export const getPartialDownload = (key) => {
+  if (!partialDownloads.has(key)) {
+    partialDownloads.set(key, { bytes: 0, size: null, mtime: null, chunks: [], writer: null });
+  }
+  return partialDownloads.get(key);
+};
+
+/**
+ * Whether part of a download is held for a retry
+ * @param {string} key - Transfer key
+ * @returns {boolean}
+ */
+export const hasPartialDownload = (key) => partialDownloads.get(key)?.bytes > 0;
+
+/**
+ * Drop a partial download, discarding anything written to disk
+ * @param {string} key - Transfer key
+ */
+export const clearPartialDownload = async (key) => {
+  const partial = partialDownloads.get(key);
+  partialDownloads.delete(key);
+  if (partial?.writer) {
+    await Promise.resolve(partial.writer.abort?.()).catch(() => {});
+  }
+};
+
+/**
+ * Forget a completed download without touching its writer
+ * @param {string} key - Transfer key
+ */
+export const releasePartialDownload = (key) => {
+  partialDownloads.delete(key);
+};
+
+/**
+ * SHA-256 of a blob as hex, to compare with the bridge's hash_file result
+ * @param {Blob} blob - Data to hash
+ * @returns {Promise<string>}
+ */
+export const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
@@ -1,15 +1,29 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { useConnection } from '../contexts/ConnectionContext';
 import { useNavigate } from 'react-router-dom';
 import SafeIcon from '../common/SafeIcon';
 import * as FiIcons from 'react-icons/fi';
+import ConnectionFilters from '../components/ConnectionFilters';
+import { filterConnections, getAllTags } from '../lib/connectionList';
 
-const { FiServer, FiPlus, FiActivity, FiHardDrive, FiUsers, FiClock, FiWifi, FiWifiOff } = FiIcons;
+const { FiServer, FiPlus, FiActivity, FiHardDrive, FiUsers, FiClock, FiWifi, FiWifiOff, FiFolder } = FiIcons;
 
 const Dashboard = () => {
-  const { connections, activeConnection, isConnected, connectToServer, disconnect } = useConnection();
+  const {
+    connections,
+    sessions,
+    activeConnection,
+    isConnected,
+    connectToServer,
+    disconnect,
+    switchSession,
+    getConnectionSessions
+  } = useConnection();
   const navigate = useNavigate();
+  const [connectErrors, setConnectErrors] = useState({});
+  const [filters, setFilters] = useState({ query: '', tag: '', sortBy: 'lastUsed' });
+  const recentConnections = filterConnections(connections, filters).slice(0, 5);
 
   const stats = [
     {
@@ -21,7 +35,7 @@ const Dashboard = () => {
     },
     {
       label: 'Active Sessions',
-      value: isConnected ? 1 : 0,
+      value: sessions.length,
       icon: FiActivity,
       color: 'text-green-600',
       bg: 'bg-green-50'
@@ -43,7 +57,20 @@ const Dashboard = () => {
   ];
 
   const handleConnect = async (connection) => {
-    await connectToServer(connection);
+    setConnectErrors(prev => ({ ...prev, [connection.id]: null }));
+    const result = await connectToServer(connection);
+    if (result.success) {
+      navigate('/files');
+    } else {
+      setConnectErrors(prev => ({ ...prev, [connection.id]: result.error }));
+    }
+  };
+
+  const handleBrowse = (connection) => {
+    const [session] = getConnectionSessions(connection.id);
+    if (session) {
+      switchSession(session.id);
+    }
     navigate('/files');
   };
 
@@ -121,42 +148,68 @@ const Dashboard = () => {
       >
         <div className="p-6 border-b border-gray-200">
           <h3 className="text-lg font-semibold text-gray-900">Recent Connections</h3>
+          {connections.length > 0 && (
+            <div className="mt-4">
+              <ConnectionFilters filters={filters} onChange={setFilters} tags={getAllTags(connections)} />
+            </div>
+          )}
         </div>
         <div className="p-6">
-          {connections.length > 0 ? (
+          {recentConnections.length > 0 ? (
             <div className="space-y-4">
-              {connections.slice(0, 5).map((connection) => (
+              {recentConnections.map((connection) => {
+                const isOpen = getConnectionSessions(connection.id).length > 0;
+
+                return (
                 <div
                   key={connection.id}
                   className="flex items-center justify-between p-4 bg-gray-50 rounded-lg"
                 >
                   <div className="flex items-center space-x-3">
                     <div className={`p-2 rounded-full ${
-                      activeConnection?.id === connection.id ? 'bg-green-100' : 'bg-gray-100'
+                      isOpen ? 'bg-green-100' : 'bg-gray-100'
                     }`}>
                       <SafeIcon 
                         icon={FiServer} 
                         className={`w-5 h-5 ${
-                          activeConnection?.id === connection.id ? 'text-green-600' : 'text-gray-600'
+                          isOpen ? 'text-green-600' : 'text-gray-600'
                         }`} 
                       />
                     </div>
                     <div>
                       <div className="flex items-center space-x-2">
                         <h4 className="font-medium text-gray-900">{connection.name}</h4>
-                        {activeConnection?.id === connection.id && (
+                        {isOpen && (
                           <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-full">
                             Connected
                           </span>
                         )}
                       </div>
                       <p className="text-sm text-gray-500">{connection.host}:{connection.port}</p>
+                      {(connection.folder || connection.tags?.length > 0) && (
+                        <div className="flex flex-wrap items-center gap-1 mt-1 text-xs text-gray-500">
+                          {connection.folder && (
+                            <span className="flex items-center space-x-1 mr-1">
+                              <SafeIcon icon={FiFolder} className="w-3 h-3" />
+                              <span>{connection.folder}</span>
+                            </span>
+                          )}
+                          {(connection.tags || []).map(tag => (
+                            <span key={tag} className="px-2 py-0.5 bg-primary-50 text-primary-700 rounded-full">
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      {connectErrors[connection.id] && (
+                        <p className="text-sm text-red-600 mt-1">{connectErrors[connection.id]}</p>
+                      )}
                     </div>
                   </div>
                   <div className="flex items-center space-x-2">
-                    {activeConnection?.id === connection.id ? (
+                    {isOpen ? (
                       <button
-                        onClick={() => navigate('/files')}
+                        onClick={() => handleBrowse(connection)}
                         className="text-primary-600 hover:text-primary-700 text-sm font-medium mr-2"
                       >
                         Browse Files
@@ -164,7 +217,6 @@ const Dashboard = () => {
                     ) : (
                       <button
                         onClick={() => handleConnect(connection)}
-                        disabled={isConnected}
                         className="px-3 py-1 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-sm font-medium"
                       >
                         Connect
@@ -172,8 +224,11 @@ const Dashboard = () => {
                     )}
                   </div>
                 </div>
-              ))}
+                );
+              })}
             </div>
+          ) : connections.length > 0 ? (
+            <p className="text-center text-gray-500 py-8">No connections match your search</p>
           ) : (
             <div className="text-center py-8">
               <SafeIcon icon={FiServer} className="w-12 h-12 text-gray-400 mx-auto mb-4" />
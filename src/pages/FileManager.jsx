@@ -1,42 +1,104 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useConnection } from '../contexts/ConnectionContext';
 import { useNavigate } from 'react-router-dom';
 import SafeIcon from '../common/SafeIcon';
-import sftpClient from '../lib/sftpClient';
+import { useTransfers } from '../contexts/TransferContext';
+import { openSaveTarget } from '../lib/fileSaver';
+import { joinPath, dirname, basename, isWithin } from '../lib/remotePath';
+import { treeFromFileList, treeFromDrop, canSaveFolders, openDownloadFolder } from '../lib/localFiles';
+import FolderPickerDialog from '../components/FolderPickerDialog';
+import DeleteFolderDialog from '../components/DeleteFolderDialog';
+import ArchiveDownloadDialog from '../components/ArchiveDownloadDialog';
+import CopyDialog from '../components/CopyDialog';
+import PropertiesDialog from '../components/PropertiesDialog';
+import TextEditor from '../components/TextEditor';
+import FilePreview from '../components/FilePreview';
+import { formatMode } from '../lib/permissions';
 import * as FiIcons from 'react-icons/fi';
 
 const { 
   FiFolder, FiFile, FiDownload, FiUpload, FiTrash2, 
   FiEdit2, FiRefreshCw, FiHome, FiChevronRight, 
   FiGrid, FiList, FiSearch, FiMoreVertical, FiPlus,
-  FiX, FiCheck, FiLoader
+  FiX, FiCheck, FiLoader, FiMove, FiArchive, FiCopy, FiInfo, FiLink
 } = FiIcons;
 
+// Marks drags of entries of the current folder, as opposed to files dragged
+// in from the desktop
+const DRAG_TYPE = 'application/x-sftp-entry';
+
 const FileManager = () => {
-  const { isConnected, activeConnection, connectToServer, connections } = useConnection();
+  const {
+    isConnected,
+    activeConnection,
+    activeSession,
+    activeSessionId,
+    activeSessionState,
+    updateSessionState,
+    connectToServer,
+    connections,
+    sessions,
+    getSession
+  } = useConnection();
+  const {
+    queueUpload,
+    queueDownload,
+    queueFolderUpload,
+    queueFolderDownload,
+    onTransferComplete
+  } = useTransfers();
   const navigate = useNavigate();
   
-  const [currentPath, setCurrentPath] = useState('/');
+  // The current directory is remembered per session, so switching
+  // sessions returns to where each one was
+  const currentPath = activeSessionState?.currentPath || '/';
+  const setCurrentPath = (path) => updateSessionState(activeSessionId, { currentPath: path });
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [viewMode, setViewMode] = useState('list');
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedConnection, setSelectedConnection] = useState('');
-  const [selectedFile, setSelectedFile] = useState(null);
   const [error, setError] = useState(null);
-  const [uploadingFile, setUploadingFile] = useState(false);
   const [showNewFolderModal, setShowNewFolderModal] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
+  // Name and target of the symlink being created, while its dialog is open
+  const [newLink, setNewLink] = useState(null);
+  // { name, value } of the entry being renamed inline
+  const [renaming, setRenaming] = useState(null);
+  // Entry waiting for a target folder in the Move to... dialog
+  const [moveSource, setMoveSource] = useState(null);
+  // Folder being deleted recursively
+  const [deletePath, setDeletePath] = useState(null);
+  // Names of the entries ticked for bulk actions, and the paths being
+  // downloaded as an archive
+  const [selectedNames, setSelectedNames] = useState(new Set());
+  const [archivePaths, setArchivePaths] = useState(null);
+  // Entries waiting for a target folder in the Copy to... dialog, and the
+  // copy running once one is picked
+  const [copySources, setCopySources] = useState(null);
+  const [copyJob, setCopyJob] = useState(null);
+  // File shown in the preview pane, and file open in the text editor
+  const [previewPath, setPreviewPath] = useState(null);
+  const [editPath, setEditPath] = useState(null);
+  // Entry whose permissions and owner are shown in the properties dialog
+  const [propertiesFile, setPropertiesFile] = useState(null);
+  // Name of the entry being dragged, and of the folder it hovers over
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Files from the desktop hovering over the upload area
+  const [uploadDropActive, setUploadDropActive] = useState(false);
+  const fileInput = useRef(null);
+  const folderInput = useRef(null);
   
   const loadFiles = useCallback(async () => {
-    if (!isConnected) return;
+    if (!activeSession) return;
     
     setLoading(true);
     setError(null);
     
     try {
-      const fileList = await sftpClient.listFiles(currentPath);
+      const fileList = await activeSession.listFiles(currentPath);
       setFiles(fileList);
     } catch (err) {
       console.error('Error loading files:', err);
@@ -45,76 +107,170 @@ const FileManager = () => {
     } finally {
       setLoading(false);
     }
-  }, [isConnected, currentPath]);
+  }, [activeSession, currentPath]);
 
   useEffect(() => {
-    if (isConnected) {
+    if (activeSession) {
       loadFiles();
     }
-  }, [isConnected, currentPath, loadFiles]);
+  }, [activeSession, currentPath, loadFiles]);
+
+  // A selection only applies to the folder it was made in
+  useEffect(() => {
+    setSelectedNames(new Set());
+  }, [activeSessionId, currentPath]);
+
+  // The preview belongs to the session it was opened in
+  useEffect(() => {
+    setPreviewPath(null);
+  }, [activeSessionId]);
+
+  // Refresh the listing when an upload into this folder finishes
+  useEffect(() => {
+    return onTransferComplete((item) => {
+      const parent = dirname(item.remotePath);
+      if (item.direction === 'upload' && item.sessionId === activeSessionId && parent === currentPath) {
+        loadFiles();
+      }
+    });
+  }, [activeSessionId, currentPath, loadFiles]);
 
   const handleConnect = async () => {
     if (!selectedConnection) return;
     
     const connection = connections.find(c => c.id === selectedConnection);
     if (connection) {
-      await connectToServer(connection);
+      setError(null);
+      const result = await connectToServer(connection);
+      if (!result.success) {
+        setError(result.error);
+      }
     }
   };
 
-  const handleFileClick = (file) => {
-    if (file.type === 'folder') {
-      setCurrentPath(currentPath === '/' 
-        ? `/${file.name}` 
-        : `${currentPath}/${file.name}`);
+  const handleFileClick = async (file) => {
+    if (file.broken) {
+      setError(`${file.name} points to ${file.linkTarget || 'a target'} that does not exist`);
+      return;
+    }
+    if (file.isSymlink && file.type === 'folder') {
+      // Open the folder the link points to under its real path, so the
+      // breadcrumb and parent folders are where the files actually are
+      try {
+        const { realPath } = await activeSession.realPath(joinPath(currentPath, file.name));
+        setCurrentPath(realPath);
+      } catch (err) {
+        setError(err.message || 'Failed to follow the link');
+      }
+    } else if (file.type === 'folder') {
+      setCurrentPath(joinPath(currentPath, file.name));
     } else {
-      setSelectedFile(file);
+      setPreviewPath(joinPath(currentPath, file.name));
+    }
+  };
+
+  const handleFolderDownload = async (file) => {
+    // Browsers that cannot write into a local folder get it as an archive
+    if (!canSaveFolders()) {
+      setArchivePaths([joinPath(currentPath, file.name)]);
+      return;
+    }
+
+    try {
+      const folder = await openDownloadFolder(file.name);
+      const result = await queueFolderDownload(joinPath(currentPath, file.name), folder);
+
+      const notes = [];
+      if (result.unreadable.length > 0) {
+        notes.push(`${result.unreadable.length} subfolder(s) could not be read`);
+      }
+      if (result.skippedLinks > 0) {
+        notes.push(`${result.skippedLinks} link(s) to folders were skipped`);
+      }
+      if (notes.length > 0) {
+        setError(`${file.name}: ${notes.join('; ')}`);
+      }
+    } catch (err) {
+      // The user dismissed the folder picker
+      if (err.name === 'AbortError') return;
+
+      console.error('Folder download error:', err);
+      setError(err.message || 'Failed to download folder');
     }
   };
 
   const handleDownload = async (file) => {
+    if (file.type === 'folder') {
+      handleFolderDownload(file);
+      return;
+    }
+
+    const filePath = joinPath(currentPath, file.name);
+
     try {
-      const filePath = currentPath === '/' 
-        ? `/${file.name}` 
-        : `${currentPath}/${file.name}`;
-      
-      const result = await sftpClient.downloadFile(filePath);
-      
-      // Create blob from content
-      const blob = new Blob([result.content], { 
-        type: 'application/octet-stream' 
-      });
-      
-      // Create download link
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = file.name;
-      document.body.appendChild(a);
-      a.click();
-      
-      // Clean up
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 0);
+      // Stream to disk when the browser supports it, otherwise the queue
+      // buffers the file and saves it when complete
+      const writable = await openSaveTarget(file.name);
+      queueDownload(filePath, writable);
     } catch (err) {
+      // The user dismissed the save dialog
+      if (err.name === 'AbortError') return;
+
       console.error('Download error:', err);
       setError(err.message || 'Failed to download file');
     }
   };
 
+  const toggleSelected = (name) => {
+    setSelectedNames(prev => {
+      const next = new Set(prev);
+      if (next.has(name)) {
+        next.delete(name);
+      } else {
+        next.add(name);
+      }
+      return next;
+    });
+  };
+
+  const handleArchiveDownload = () => {
+    setArchivePaths(files
+      .filter(file => selectedNames.has(file.name))
+      .map(file => joinPath(currentPath, file.name)));
+  };
+
+  const handleCopyTo = (targetDir, targetSession) => {
+    setCopyJob({
+      session: activeSession,
+      sources: copySources.map(file => ({
+        path: joinPath(currentPath, file.name),
+        isDirectory: file.type === 'folder'
+      })),
+      targetSession,
+      targetDir
+    });
+    setCopySources(null);
+  };
+
   const handleDelete = async (file) => {
-    if (!confirm(`Are you sure you want to delete ${file.name}?`)) {
+    // Folders are counted and deleted with their contents in a dialog;
+    // links to folders are removed on their own
+    if (file.type === 'folder' && !file.isSymlink) {
+      setDeletePath(joinPath(currentPath, file.name));
+      return;
+    }
+
+    const question = file.isSymlink
+      ? `Delete the link ${file.name}? What it points to is kept.`
+      : `Are you sure you want to delete ${file.name}?`;
+    if (!confirm(question)) {
       return;
     }
     
     try {
-      const filePath = currentPath === '/' 
-        ? `/${file.name}` 
-        : `${currentPath}/${file.name}`;
+      const filePath = joinPath(currentPath, file.name);
       
-      await sftpClient.deleteFile(filePath, file.type === 'folder');
+      await activeSession.deleteFile(filePath);
       loadFiles();
     } catch (err) {
       console.error('Delete error:', err);
@@ -122,46 +278,57 @@ const FileManager = () => {
     }
   };
 
-  const handleUpload = async (event) => {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
+  const handleUpload = (event) => {
+    const selected = Array.from(event.target.files || []);
+    // Reset so selecting the same files again triggers another upload
+    event.target.value = '';
     
-    setUploadingFile(true);
     setError(null);
-    
+    selected.forEach((file) => {
+      const remotePath = joinPath(currentPath, file.name);
+      queueUpload(file, remotePath);
+    });
+  };
+
+  // Recreate a local folder tree here and queue its files
+  const uploadTree = async (tree) => {
+    setError(null);
     try {
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        const reader = new FileReader();
-        
-        // Use promise to handle file reading
-        await new Promise((resolve, reject) => {
-          reader.onload = async (e) => {
-            try {
-              const content = e.target.result;
-              const remotePath = currentPath === '/' 
-                ? `/${file.name}` 
-                : `${currentPath}/${file.name}`;
-              
-              await sftpClient.uploadFile(remotePath, content);
-              resolve();
-            } catch (err) {
-              reject(err);
-            }
-          };
-          
-          reader.onerror = () => reject(new Error('Failed to read file'));
-          reader.readAsArrayBuffer(file);
-        });
+      await queueFolderUpload(tree, currentPath);
+      if (tree.directories.length > 0 || tree.files.some(({ relativePath }) => relativePath.includes('/'))) {
+        loadFiles();
       }
-      
-      // Reload files after upload
-      loadFiles();
     } catch (err) {
-      console.error('Upload error:', err);
-      setError(err.message || 'Failed to upload file');
-    } finally {
-      setUploadingFile(false);
+      console.error('Folder upload error:', err);
+      setError(err.message || 'Failed to upload folder');
+    }
+  };
+
+  const handleFolderSelect = (event) => {
+    const tree = treeFromFileList(event.target.files || []);
+    event.target.value = '';
+    uploadTree(tree);
+  };
+
+  const uploadDropProps = {
+    onDragOver: (e) => {
+      if (dragging || !e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      setUploadDropActive(true);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setUploadDropActive(false);
+      }
+    },
+    onDrop: (e) => {
+      setUploadDropActive(false);
+      if (dragging || !e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      treeFromDrop(e.dataTransfer)
+        .then(uploadTree)
+        .catch((err) => setError(err.message || 'Failed to read the dropped files'));
     }
   };
 
@@ -172,11 +339,9 @@ const FileManager = () => {
     }
     
     try {
-      const folderPath = currentPath === '/' 
-        ? `/${newFolderName}` 
-        : `${currentPath}/${newFolderName}`;
+      const folderPath = joinPath(currentPath, newFolderName);
       
-      await sftpClient.createDirectory(folderPath);
+      await activeSession.createDirectory(folderPath);
       setShowNewFolderModal(false);
       setNewFolderName('');
       loadFiles();
@@ -186,6 +351,123 @@ const FileManager = () => {
     }
   };
 
+  const createNewLink = async () => {
+    const name = newLink.name.trim();
+    const target = newLink.target.trim();
+    if (!name || !target) {
+      setError('The link needs a name and a target');
+      return;
+    }
+
+    try {
+      await activeSession.createSymlink(joinPath(currentPath, name), target);
+      setNewLink(null);
+      loadFiles();
+    } catch (err) {
+      console.error('Create link error:', err);
+      setError(err.message || 'Failed to create link');
+    }
+  };
+
+  // Rename or move an entry of the current folder, offering to replace an
+  // existing target
+  const renameEntry = async (file, newPath) => {
+    const oldPath = joinPath(currentPath, file.name);
+    if (newPath === oldPath) return;
+
+    if (file.type === 'folder' && isWithin(newPath, oldPath)) {
+      setError(`Cannot move ${file.name} into itself`);
+      return;
+    }
+
+    setError(null);
+    try {
+      try {
+        await activeSession.rename(oldPath, newPath);
+      } catch (err) {
+        if (err.code !== 'EXISTS' || !confirm(`${newPath} already exists. Replace it?`)) {
+          throw err;
+        }
+        await activeSession.rename(oldPath, newPath, { overwrite: true });
+      }
+      loadFiles();
+    } catch (err) {
+      console.error('Rename error:', err);
+      setError(err.message || 'Failed to rename');
+    }
+  };
+
+  const commitRename = () => {
+    const { name, value } = renaming;
+    setRenaming(null);
+
+    const newName = value.trim();
+    if (!newName || newName === name) return;
+    if (newName.includes('/')) {
+      setError('Names cannot contain "/"; use Move to... to move an entry');
+      return;
+    }
+
+    const file = files.find(item => item.name === name);
+    if (file) {
+      renameEntry(file, joinPath(currentPath, newName));
+    }
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setRenaming(null);
+    }
+  };
+
+  const handleMoveTo = (path) => {
+    const file = moveSource;
+    setMoveSource(null);
+    renameEntry(file, joinPath(path, file.name));
+  };
+
+  // Drag and drop of entries onto folders, in both views and onto the
+  // breadcrumb. framer-motion claims onDragStart/onDragEnd for its own drag
+  // gestures, hence the capture handlers for the native events.
+  const dragProps = (file) => ({
+    draggable: !renaming,
+    onDragStartCapture: (e) => {
+      e.dataTransfer.setData(DRAG_TYPE, file.name);
+      e.dataTransfer.effectAllowed = 'move';
+      setDragging(file.name);
+    },
+    onDragEndCapture: () => {
+      setDragging(null);
+      setDropTarget(null);
+    }
+  });
+
+  const dropProps = (targetPath, key) => ({
+    onDragOver: (e) => {
+      if (!dragging || targetPath === joinPath(currentPath, dragging) || targetPath === currentPath) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTarget(key);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setDropTarget(null);
+      }
+    },
+    onDrop: (e) => {
+      const name = e.dataTransfer.getData(DRAG_TYPE);
+      const file = files.find(item => item.name === name);
+      setDropTarget(null);
+      setDragging(null);
+      if (!file) return;
+      e.preventDefault();
+      renameEntry(file, joinPath(targetPath, file.name));
+    }
+  });
+
   const getPathSegments = () => {
     if (currentPath === '/') return [{ name: 'Home', path: '/' }];
     
@@ -202,6 +484,8 @@ const FileManager = () => {
   const filteredFiles = files.filter(file => 
     file.name.toLowerCase().includes(searchTerm.toLowerCase())
   );
+  const selectedCount = files.filter(file => selectedNames.has(file.name)).length;
+  const allSelected = filteredFiles.length > 0 && filteredFiles.every(file => selectedNames.has(file.name));
 
   // Render connection form if not connected
   if (!isConnected) {
@@ -277,6 +561,14 @@ const FileManager = () => {
             >
               <SafeIcon icon={FiPlus} className="w-5 h-5" />
             </button>
+
+            <button
+              onClick={() => setNewLink({ name: '', target: '' })}
+              className="p-2 text-gray-500 hover:text-gray-700 rounded-md hover:bg-gray-100 transition-colors"
+              title="Create Symbolic Link"
+            >
+              <SafeIcon icon={FiLink} className="w-5 h-5" />
+            </button>
             
             <button
               onClick={loadFiles}
@@ -296,7 +588,10 @@ const FileManager = () => {
               {index > 0 && <SafeIcon icon={FiChevronRight} className="w-4 h-4" />}
               <button
                 onClick={() => setCurrentPath(segment.path)}
-                className="hover:text-primary-600 transition-colors whitespace-nowrap"
+                {...dropProps(segment.path, `crumb:${segment.path}`)}
+                className={`hover:text-primary-600 transition-colors whitespace-nowrap rounded px-1 ${
+                  dropTarget === `crumb:${segment.path}` ? 'bg-primary-100 text-primary-700' : ''
+                }`}
               >
                 {segment.name}
               </button>
@@ -343,46 +638,168 @@ const FileManager = () => {
               <p className="text-gray-600">Loading files...</p>
             </div>
           ) : filteredFiles.length > 0 ? (
-            <div className={viewMode === 'grid' ? 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4' : 'space-y-2'}>
-              {filteredFiles.map((file, index) => (
-                <motion.div
-                  key={file.name}
-                  initial={{ opacity: 0, y: 20 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  transition={{ delay: index * 0.05 }}
-                  className={`group ${
-                    viewMode === 'grid'
-                      ? 'p-4 border border-gray-200 rounded-lg hover:shadow-md cursor-pointer'
-                      : 'flex items-center justify-between p-3 rounded-lg hover:bg-gray-50 cursor-pointer'
-                  } transition-all`}
-                  onClick={() => handleFileClick(file)}
-                >
-                  <div className={`flex items-center ${viewMode === 'grid' ? 'flex-col text-center' : 'space-x-3'}`}>
-                    <div className={`p-2 rounded-full ${file.type === 'folder' ? 'bg-blue-100' : 'bg-gray-100'}`}>
-                      <SafeIcon
-                        icon={file.type === 'folder' ? FiFolder : FiFile}
-                        className={`w-6 h-6 ${file.type === 'folder' ? 'text-blue-600' : 'text-gray-600'}`}
+            <>
+              <div className="flex items-center justify-between mb-3 text-sm text-gray-600">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() => setSelectedNames(allSelected ? new Set() : new Set(filteredFiles.map(file => file.name)))}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span>{selectedCount > 0 ? `${selectedCount} selected` : 'Select all'}</span>
+                </label>
+                {selectedCount > 0 && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => setCopySources(files.filter(file => selectedNames.has(file.name)))}
+                      className="px-3 py-1.5 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors flex items-center space-x-2"
+                    >
+                      <SafeIcon icon={FiCopy} className="w-4 h-4" />
+                      <span>Copy to...</span>
+                    </button>
+                    <button
+                      onClick={handleArchiveDownload}
+                      className="px-3 py-1.5 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-2"
+                    >
+                      <SafeIcon icon={FiArchive} className="w-4 h-4" />
+                      <span>Download as Archive</span>
+                    </button>
+                    <button
+                      onClick={() => setSelectedNames(new Set())}
+                      className="px-3 py-1.5 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div className={viewMode === 'grid' ? 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4' : 'space-y-2'}>
+                {filteredFiles.map((file, index) => (
+                  <motion.div
+                    key={file.name}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: index * 0.05 }}
+                    className={`group ${
+                      viewMode === 'grid'
+                        ? 'p-4 border border-gray-200 rounded-lg hover:shadow-md cursor-pointer'
+                        : 'flex items-center justify-between p-3 rounded-lg hover:bg-gray-50 cursor-pointer'
+                    } ${dropTarget === file.name ? 'ring-2 ring-primary-400 bg-primary-50' : ''} ${
+                      dragging === file.name ? 'opacity-50' : ''
+                    } transition-all`}
+                    onClick={() => renaming?.name !== file.name && handleFileClick(file)}
+                    {...dragProps(file)}
+                    {...(file.type === 'folder' ? dropProps(joinPath(currentPath, file.name), file.name) : {})}
+                  >
+                    <div className={`flex items-center ${viewMode === 'grid' ? 'flex-col text-center' : 'space-x-3'}`}>
+                      <input
+                        type="checkbox"
+                        checked={selectedNames.has(file.name)}
+                        onChange={() => toggleSelected(file.name)}
+                        onClick={(e) => e.stopPropagation()}
+                        className={`rounded border-gray-300 text-primary-600 focus:ring-primary-500 ${viewMode === 'grid' ? 'self-start' : ''}`}
+                        title="Select"
                       />
+                      <div className={`relative p-2 rounded-full ${file.type === 'folder' ? 'bg-blue-100' : 'bg-gray-100'}`}>
+                        <SafeIcon
+                          icon={file.type === 'folder' ? FiFolder : FiFile}
+                          className={`w-6 h-6 ${file.type === 'folder' ? 'text-blue-600' : 'text-gray-600'} ${file.broken ? 'opacity-40' : ''}`}
+                        />
+                        {file.isSymlink && (
+                          <span
+                            className={`absolute -bottom-1 -right-1 p-0.5 rounded-full bg-white border ${
+                              file.broken ? 'border-red-300 text-red-500' : 'border-gray-300 text-gray-600'
+                            }`}
+                            title={file.broken ? 'Broken link' : 'Symbolic link'}
+                          >
+                            <SafeIcon icon={FiLink} className="w-3 h-3" />
+                          </span>
+                        )}
+                      </div>
+                      <div className={viewMode === 'grid' ? 'mt-2' : ''}>
+                        {renaming?.name === file.name ? (
+                          <input
+                            type="text"
+                            value={renaming.value}
+                            onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+                            onKeyDown={handleRenameKeyDown}
+                            onBlur={() => setRenaming(null)}
+                            onClick={(e) => e.stopPropagation()}
+                            autoFocus
+                            className="px-2 py-1 border border-primary-400 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                          />
+                        ) : (
+                          <h4 className="font-medium text-gray-900 truncate">{file.name}</h4>
+                        )}
+                        {file.isSymlink && (
+                          <p
+                            className={`text-xs font-mono truncate ${file.broken ? 'text-red-600' : 'text-gray-500'}`}
+                            title={file.linkTarget || undefined}
+                          >
+                            → {file.linkTarget || 'unreadable target'}{file.broken ? ' (broken)' : ''}
+                          </p>
+                        )}
+                        {viewMode === 'list' && (
+                          <p className="text-sm text-gray-500">
+                            {file.size} • {file.modified} • <span className="font-mono">{formatMode(file.permissions)}</span>
+                          </p>
+                        )}
+                      </div>
                     </div>
-                    <div className={viewMode === 'grid' ? 'mt-2' : ''}>
-                      <h4 className="font-medium text-gray-900 truncate">{file.name}</h4>
-                      {viewMode === 'list' && (
-                        <p className="text-sm text-gray-500">{file.size} • {file.modified}</p>
-                      )}
-                    </div>
-                  </div>
-                  {viewMode === 'list' && (
-                    <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                      {file.type !== 'folder' && (
+                    <div className={`flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-opacity ${
+                      viewMode === 'grid' ? 'justify-center mt-2' : ''
+                    }`}>
+                      <button
+                        className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDownload(file);
+                        }}
+                        title={file.type === 'folder' ? 'Download folder' : 'Download'}
+                      >
+                        <SafeIcon icon={FiDownload} className="w-4 h-4" />
+                      </button>
+                      <button
+                        className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setRenaming({ name: file.name, value: file.name });
+                        }}
+                        title="Rename"
+                      >
+                        <SafeIcon icon={FiEdit2} className="w-4 h-4" />
+                      </button>
+                      <button
+                        className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setMoveSource(file);
+                        }}
+                        title="Move to..."
+                      >
+                        <SafeIcon icon={FiMove} className="w-4 h-4" />
+                      </button>
+                      <button
+                        className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setCopySources([file]);
+                        }}
+                        title="Copy to..."
+                      >
+                        <SafeIcon icon={FiCopy} className="w-4 h-4" />
+                      </button>
+                      {!file.isSymlink && (
                         <button
                           className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
                           onClick={(e) => {
                             e.stopPropagation();
-                            handleDownload(file);
+                            setPropertiesFile(file);
                           }}
-                          title="Download"
+                          title="Properties"
                         >
-                          <SafeIcon icon={FiDownload} className="w-4 h-4" />
+                          <SafeIcon icon={FiInfo} className="w-4 h-4" />
                         </button>
                       )}
                       <button
@@ -396,10 +813,10 @@ const FileManager = () => {
                         <SafeIcon icon={FiTrash2} className="w-4 h-4" />
                       </button>
                     </div>
-                  )}
-                </motion.div>
-              ))}
-            </div>
+                  </motion.div>
+                ))}
+              </div>
+            </>
           ) : (
             <div className="text-center py-8">
               <SafeIcon icon={FiFolder} className="w-12 h-12 text-gray-400 mx-auto mb-4" />
@@ -419,34 +836,126 @@ const FileManager = () => {
         className="bg-white rounded-lg border border-gray-200 p-6"
       >
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Upload Files</h3>
-        <label className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-primary-400 transition-colors block cursor-pointer">
+        <div
+          {...uploadDropProps}
+          className={`border-2 border-dashed rounded-lg p-8 text-center transition-colors ${
+            uploadDropActive ? 'border-primary-500 bg-primary-50' : 'border-gray-300 hover:border-primary-400'
+          }`}
+        >
           <input
+            ref={fileInput}
             type="file"
             multiple
             className="hidden"
             onChange={handleUpload}
-            disabled={uploadingFile}
           />
-          {uploadingFile ? (
-            <>
-              <SafeIcon icon={FiLoader} className="w-12 h-12 text-primary-500 mx-auto mb-4 animate-spin" />
-              <p className="text-gray-600 mb-2">Uploading files...</p>
-            </>
-          ) : (
-            <>
-              <SafeIcon icon={FiUpload} className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-              <p className="text-gray-600 mb-2">Drag and drop files here or click to browse</p>
-              <button
-                type="button"
-                className="bg-primary-600 text-white px-4 py-2 rounded-md font-medium hover:bg-primary-700 transition-colors"
-              >
-                Select Files
-              </button>
-            </>
-          )}
-        </label>
+          <input
+            ref={folderInput}
+            type="file"
+            webkitdirectory=""
+            className="hidden"
+            onChange={handleFolderSelect}
+          />
+          <SafeIcon icon={FiUpload} className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600 mb-2">Drag and drop files or folders here</p>
+          <div className="flex justify-center space-x-3">
+            <button
+              type="button"
+              onClick={() => fileInput.current?.click()}
+              className="bg-primary-600 text-white px-4 py-2 rounded-md font-medium hover:bg-primary-700 transition-colors"
+            >
+              Select Files
+            </button>
+            <button
+              type="button"
+              onClick={() => folderInput.current?.click()}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md font-medium hover:bg-gray-50 transition-colors"
+            >
+              Select Folder
+            </button>
+          </div>
+          <p className="text-sm text-gray-500 mt-2">
+            Files are added to the transfer queue; folders are recreated here with everything in them
+          </p>
+        </div>
+
       </motion.div>
 
+      <FolderPickerDialog
+        open={Boolean(moveSource)}
+        session={activeSession}
+        initialPath={currentPath}
+        title={`Move ${moveSource?.name || ''}`}
+        actionLabel="Move Here"
+        isDisabled={(path) => path === currentPath
+          || (moveSource?.type === 'folder' && isWithin(path, joinPath(currentPath, moveSource.name)))}
+        onSelect={handleMoveTo}
+        onClose={() => setMoveSource(null)}
+      />
+
+      <FolderPickerDialog
+        open={Boolean(copySources)}
+        session={activeSession}
+        sessions={sessions.map(info => ({
+          id: info.id,
+          name: info.name,
+          session: getSession(info.id),
+          path: info.state.currentPath
+        }))}
+        initialPath={currentPath}
+        title={copySources?.length === 1 ? `Copy ${copySources[0].name}` : `Copy ${copySources?.length || 0} items`}
+        actionLabel="Copy Here"
+        isDisabled={(path, target) => target === activeSession && (copySources || []).some(file => (
+          file.type === 'folder' && isWithin(path, joinPath(currentPath, file.name))
+        ))}
+        onSelect={handleCopyTo}
+        onClose={() => setCopySources(null)}
+      />
+
+      <CopyDialog
+        job={copyJob}
+        onClose={() => setCopyJob(null)}
+        onCopied={loadFiles}
+      />
+
+      <ArchiveDownloadDialog
+        session={activeSession}
+        paths={archivePaths}
+        defaultName={archivePaths?.length === 1
+          ? basename(archivePaths[0])
+          : basename(currentPath) || 'download'}
+        onClose={() => setArchivePaths(null)}
+      />
+
+      <FilePreview
+        session={activeSession}
+        path={previewPath}
+        onClose={() => setPreviewPath(null)}
+        onEdit={setEditPath}
+      />
+
+      <TextEditor
+        session={activeSession}
+        path={editPath}
+        onClose={() => setEditPath(null)}
+        onSaved={loadFiles}
+      />
+
+      <PropertiesDialog
+        session={activeSession}
+        path={propertiesFile ? joinPath(currentPath, propertiesFile.name) : null}
+        file={propertiesFile}
+        onClose={() => setPropertiesFile(null)}
+        onChanged={loadFiles}
+      />
+
+      <DeleteFolderDialog
+        session={activeSession}
+        path={deletePath}
+        onClose={() => setDeletePath(null)}
+        onDeleted={loadFiles}
+      />
+
       {/* New Folder Modal */}
       <AnimatePresence>
         {showNewFolderModal && (
@@ -507,6 +1016,83 @@ const FileManager = () => {
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* New Link Modal */}
+      <AnimatePresence>
+        {newLink && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          >
+            <motion.div
+              initial={{ scale: 0.9, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.9, opacity: 0 }}
+              className="bg-white rounded-lg p-6 w-full max-w-md"
+            >
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Create Symbolic Link</h3>
+                <button
+                  onClick={() => setNewLink(null)}
+                  className="text-gray-400 hover:text-gray-600 transition-colors"
+                >
+                  <SafeIcon icon={FiX} className="w-5 h-5" />
+                </button>
+              </div>
+              
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Link Name
+                </label>
+                <input
+                  type="text"
+                  value={newLink.name}
+                  onChange={(e) => setNewLink({ ...newLink, name: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="Enter link name"
+                  autoFocus
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Target
+                </label>
+                <input
+                  type="text"
+                  value={newLink.target}
+                  onChange={(e) => setNewLink({ ...newLink, target: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="/var/www/current or ../shared"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Relative targets are resolved from {currentPath}; the target does not need to exist yet
+                </p>
+              </div>
+              
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setNewLink(null)}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={createNewLink}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors flex items-center space-x-2"
+                >
+                  <SafeIcon icon={FiLink} className="w-4 h-4" />
+                  <span>Create Link</span>
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
     </div>
   );
 };
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import SafeIcon from '../common/SafeIcon';
+import * as FiIcons from 'react-icons/fi';
+
+const { FiServer, FiLogIn, FiAlertCircle } = FiIcons;
+
+const Login = () => {
+  const { logIn, authError, getAuthMethods } = useAuth();
+  // Which forms to offer; both until the bridge has answered
+  const [methods, setMethods] = useState({ password: true, token: true });
+  const [mode, setMode] = useState('password');
+  const [formData, setFormData] = useState({ username: '', password: '', token: '' });
+  const [error, setError] = useState(authError);
+  const [loggingIn, setLoggingIn] = useState(false);
+
+  useEffect(() => {
+    getAuthMethods()
+      .then((available) => {
+        setMethods(available);
+        if (!available.password && available.token) {
+          setMode('token');
+        }
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const handleInputChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoggingIn(true);
+
+    try {
+      await logIn(mode === 'token'
+        ? { token: formData.token.trim() }
+        : { username: formData.username, password: formData.password });
+    } catch (err) {
+      setError(err.message || 'Login failed');
+      setLoggingIn(false);
+    }
+  };
+
+  const tabClass = (tab) => `flex-1 py-2 text-sm font-medium border-b-2 transition-colors ${
+    mode === tab
+      ? 'border-primary-600 text-primary-700'
+      : 'border-transparent text-gray-500 hover:text-gray-700'
+  }`;
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-lg border border-gray-200 p-8 w-full max-w-sm"
+      >
+        <div className="flex items-center justify-center space-x-2 mb-2">
+          <SafeIcon icon={FiServer} className="w-6 h-6 text-primary-600" />
+          <h1 className="text-xl font-semibold text-gray-900">SFTP Client</h1>
+        </div>
+        <p className="text-sm text-gray-500 text-center mb-6">Log in to the bridge server</p>
+
+        {methods.password && methods.token && (
+          <div className="flex mb-6">
+            <button type="button" onClick={() => setMode('password')} className={tabClass('password')}>
+              Account
+            </button>
+            <button type="button" onClick={() => setMode('token')} className={tabClass('token')}>
+              Access Token
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'token' ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Access Token
+              </label>
+              <input
+                type="password"
+                name="token"
+                value={formData.token}
+                onChange={handleInputChange}
+                autoComplete="current-password"
+                autoFocus
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Set with BRIDGE_TOKEN, or printed in the bridge log when no users are configured
+              </p>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Username
+                </label>
+                <input
+                  type="text"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleInputChange}
+                  autoComplete="username"
+                  autoFocus
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Password
+                </label>
+                <input
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  autoComplete="current-password"
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md flex items-center space-x-2">
+              <SafeIcon icon={FiAlertCircle} className="w-4 h-4 flex-shrink-0" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={loggingIn}
+            className="w-full px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors flex items-center justify-center space-x-2"
+          >
+            <SafeIcon icon={FiLogIn} className="w-4 h-4" />
+            <span>{loggingIn ? 'Logging in...' : 'Log In'}</span>
+          </button>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Login;